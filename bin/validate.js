@@ -1,12 +1,19 @@
 #!/usr/bin/env node
 const path = require("path");
-const {LottieValidator, get_schema_path} = require("../src/validator-node.js");
+const {
+    LottieValidator, get_schema_path, schema_versions, format_results, format_stats, formats, find_files, validate_files,
+    files_stats, config_file_name, find_config_file, load_config, LottieLanguageServer
+} = require("../src/validator-node.js");
 const fs = require("fs");
+const os = require("os");
 const ajv2020 = require("ajv/dist/2020");
 
 function show_help()
 {
-    console.log("\n\n", process.argv[1], "[Option...]", "file", "\n\nOptions:\n");
+    console.log("\n\n", process.argv[1], "[stats] [Option...]", "file|directory|glob...");
+    console.log("", process.argv[1], "lsp [Option...]");
+    console.log("\nValidates the files, or with `stats` shows a summary of their size and complexity.");
+    console.log("With `lsp` runs a language server over stdio, for editors.\n\nOptions:\n");
 
     for ( let [name, [nargs, help, _]] of Object.entries(args) )
         console.log(name, " arg".repeat(nargs), "\n\t", help);
@@ -14,52 +21,243 @@ function show_help()
     process.exit(0);
 }
 
-let schema_path = get_schema_path();
-let json_file = null
+// The first argument can select a command other than validation
+let command = "validate";
+let first_arg = 2;
+if ( process.argv[2] == "stats" || process.argv[2] == "lsp" )
+{
+    command = process.argv[2];
+    first_arg = 3;
+}
+
+let schema_path = null;
+let config_path = null;
+let spec_version = null;
+let inputs = [];
 let warnings = true;
+let fix = false;
+let strip_unused = false;
+let output_file = null;
+let in_place = false;
+let format = "json";
+let jobs = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
 
 let args = {
     "--schema": [1, "Path to the schema", (arg) => { schema_path = arg; }],
+    "--config": [1, `Path to the configuration file (default ${config_file_name} in the current directory or its parents)`, (arg) => { config_path = arg; }],
+    "--spec-version": [1, `Spec version to validate against (${schema_versions.join(", ")}), or "auto" to detect it from the file`, (arg) => { spec_version = arg; }],
+    "--format": [1, `Output format: json (default), ${formats.join(", ")}`, (arg) => { format = arg; }],
     "--help": [0, "Shows help", () => show_help()],
     "--no-warnings": [0, "Disable warnings", () => { warnings = false; }],
+    "--fix": [0, "Applies safe fixes (requires --output or --in-place)", () => { fix = true; }],
+    "--strip-unused": [0, "Removes unused assets, invisible layers, ignored shapes and unused slots (requires --output or --in-place)", () => { strip_unused = true; }],
+    "--output": [1, "Path to write the fixed file to (implies --fix unless --strip-unused is used, single file only)", (arg) => { output_file = arg; }],
+    "--in-place": [0, "Overwrites the modified files (implies --fix unless --strip-unused is used)", () => { in_place = true; }],
+    "--jobs": [1, "Number of files validated at the same time, each in its own thread (default: number of CPU cores)", (arg) => { jobs = Number(arg); }],
 }
 args["-h"] = args["--help"];
 args["-q"] = args["--no-warnings"];
 
 
-for ( let i = 2; i < process.argv.length; )
+for ( let i = first_arg; i < process.argv.length; )
 {
     let arg = process.argv[i];
     let data = args[arg];
     if ( !data )
     {
-        if ( json_file === null )
+        if ( arg.startsWith("-") )
         {
-            json_file = arg;
-            i += 1;
-            continue;
+            console.error(`Unknown argument ${arg}`);
+            process.exit(1);
         }
-        console.error(`Unknown argument ${arg}`);
-        process.exit(1);
+        inputs.push(arg);
+        i += 1;
+        continue;
     }
 
     let [nargs, _, func] = data;
 
-    func(...process.argv.slice(i, i+nargs));
+    func(...process.argv.slice(i+1, i+1+nargs));
 
     i += nargs + 1;
 }
 
-if ( json_file === null )
+/**
+ * \returns The `workers` option for validate_files and files_stats, each worker thread builds its own validator
+ */
+function workers()
+{
+    if ( jobs <= 1 || files.length <= 1 )
+        return undefined;
+    // The validator modifies its schema so the workers get a fresh copy
+    return {schema: read_schema(), config: config};
+}
+
+if ( command == "lsp" )
+{
+    if ( inputs.length || fix || strip_unused || output_file !== null || in_place )
+    {
+        console.error(`lsp doesn't take files, --fix, --strip-unused, --output or --in-place`);
+        process.exit(1);
+    }
+}
+else if ( inputs.length == 0 )
 {
     console.error(`Missing file to validate`);
     process.exit(1);
 }
 
-const data = fs.readFileSync(json_file, "utf8");
-const schema = JSON.parse(fs.readFileSync(schema_path, "utf8"));
-const validator = new LottieValidator(ajv2020.Ajv2020, schema);
-const errors = validator.validate(data, warnings);
-console.log(JSON.stringify(errors, null, 4));
-if ( errors.find(e => e.type == "error") )
+if ( format != "json" && !formats.includes(format) )
+{
+    console.error(`Unknown format ${format}`);
+    process.exit(1);
+}
+
+if ( command == "stats" && format != "json" && format != "text" )
+{
+    console.error(`Format ${format} is not available for stats`);
+    process.exit(1);
+}
+
+if ( (output_file !== null || in_place) && !strip_unused )
+    fix = true;
+
+if ( command == "stats" && (fix || strip_unused) )
+{
+    console.error(`--fix, --strip-unused, --output and --in-place can't be used with stats`);
+    process.exit(1);
+}
+
+if ( output_file !== null && in_place )
+{
+    console.error(`--output and --in-place can't be used together`);
+    process.exit(1);
+}
+
+if ( (fix || strip_unused) && output_file === null && !in_place )
+{
+    console.error(`--fix and --strip-unused need --output or --in-place to write the result`);
+    process.exit(1);
+}
+
+if ( !(jobs >= 1) )
+{
+    console.error(`Invalid number of jobs`);
+    process.exit(1);
+}
+
+if ( spec_version !== null && spec_version != "auto" && !schema_versions.includes(spec_version) )
+{
+    console.error(`Unknown spec version ${spec_version}, available versions: ${schema_versions.join(", ")}`);
     process.exit(1);
+}
+
+const files = command == "lsp" ? [] : find_files(inputs);
+// A single explicitly named file keeps the original output format
+const single_file = inputs.length == 1 && files.length == 1 && files[0] == inputs[0];
+
+if ( files.length == 0 && command != "lsp" )
+{
+    console.error(`No files to validate`);
+    process.exit(1);
+}
+
+if ( output_file !== null && !single_file )
+{
+    console.error(`--output can only be used with a single file`);
+    process.exit(1);
+}
+
+/**
+ * \returns The schema (or array of schemas) selected by the command line options
+ */
+function read_schema()
+{
+    if ( schema_path !== null )
+        return JSON.parse(fs.readFileSync(schema_path, "utf8"));
+    if ( spec_version == "auto" )
+        return schema_versions.map(version => JSON.parse(fs.readFileSync(get_schema_path(version), "utf8")));
+    return JSON.parse(fs.readFileSync(get_schema_path(spec_version), "utf8"));
+}
+
+let schema = read_schema();
+
+let config = {};
+try {
+    config_path = config_path ?? find_config_file();
+    if ( config_path !== null )
+        config = load_config(config_path);
+} catch(e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+// Command line options take precedence over the configuration file
+if ( spec_version !== null )
+    config.spec_version = spec_version;
+
+// The text output shows the names of the objects containing each error
+if ( format == "text" && config.name_paths === undefined )
+    config.name_paths = true;
+
+let validator;
+try {
+    validator = new LottieValidator(ajv2020.Ajv2020, schema, config);
+    validator.check_rules();
+} catch(e) {
+    console.error(config_path === null ? e.message : `Invalid configuration in ${config_path}: ${e.message}`);
+    process.exit(1);
+}
+
+/**
+ * \returns The JSON output for a single file, with the same structure as the validator returns
+ */
+function single_file_json(results)
+{
+    if ( results[0].entry !== undefined )
+        return results.map(result => ({file: result.entry, animation: result.animation, errors: result.errors}));
+    if ( fix || strip_unused )
+        return {changes: results[0].changes ?? [], errors: results[0].errors};
+    return results[0].errors;
+}
+
+/**
+ * \returns The `workers` option for validate_files and files_stats, each worker thread builds its own validator
+ */
+function workers()
+{
+    if ( jobs <= 1 || files.length <= 1 )
+        return undefined;
+    // The validator modifies its schema so the workers get a fresh copy
+    return {schema: read_schema(), config: config};
+}
+
+if ( command == "lsp" )
+{
+    let server = new LottieLanguageServer(validator, {show_warnings: warnings});
+    server.listen(process.stdin, process.stdout).then(code => process.exit(code));
+}
+else if ( command == "stats" )
+{
+    files_stats(validator, files, {jobs: jobs, workers: workers()}).then(results => {
+        if ( format == "json" )
+            console.log(JSON.stringify(single_file ? results[0].stats ?? results[0] : results, null, 4));
+        else
+            console.log(format_stats(results, {color: process.stdout.isTTY && !process.env.NO_COLOR}));
+
+        if ( results.some(result => !result.stats) )
+            process.exit(1);
+    });
+}
+else
+{
+    validate_files(validator, files, {show_warnings: warnings, fix: fix, strip_unused: strip_unused, output: output_file, in_place: in_place, jobs: jobs, workers: workers()}).then(results => {
+        if ( format == "json" )
+            console.log(JSON.stringify(single_file ? single_file_json(results) : results, null, 4));
+        else
+            console.log(format_results(format, results, {color: process.stdout.isTTY && !process.env.NO_COLOR}));
+
+        if ( results.some(result => result.errors.find(e => e.type == "error")) )
+            process.exit(1);
+    });
+}
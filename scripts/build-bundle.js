@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Generates a self-contained browser bundle of the validator, including Ajv and the schema.
+ *
+ * It writes a classic script defining a single `LottieSpecs` global and an ES module with the same exports.
+ *
+ * Usage: build-bundle.js [output_directory]
+ */
+const path = require("path");
+const fs = require("fs");
+const module_builtins = require("module").builtinModules;
+
+const source_dir = path.resolve(__dirname, "..", "src");
+const output_dir = process.argv[2] ?? source_dir;
+const entry = path.join(source_dir, "validator-browser.js");
+const global_name = "LottieSpecs";
+
+/**
+ * \brief Finds the module paths required by a CommonJS module
+ *
+ * Only calls with a string literal are supported, calls within strings
+ * (eg: Ajv's code generation) are skipped.
+ *
+ * \returns Array of required module names
+ */
+function find_requires(source)
+{
+    let requires = [];
+    for ( let match of source.matchAll(/(?<![\w$.'"`])require\(\s*(["'])([^"']+)\1\s*\)/g) )
+        requires.push(match[2]);
+    return requires;
+}
+
+/**
+ * \brief Collects all the modules reachable from \p entry_file
+ * \returns Array of modules with \c file, \c source and \c deps (map from required name to module index)
+ * \throws Error if a required module can't be bundled
+ */
+function collect_modules(entry_file)
+{
+    let modules = [];
+    let indices = new Map();
+
+    let add = (file) => {
+        if ( indices.has(file) )
+            return indices.get(file);
+
+        let index = modules.length;
+        let module = {file: file, source: fs.readFileSync(file, "utf8"), deps: {}};
+        indices.set(file, index);
+        modules.push(module);
+
+        if ( file.endsWith(".json") )
+            return index;
+
+        for ( let name of find_requires(module.source) )
+        {
+            if ( module_builtins.includes(name) || name.startsWith("node:") )
+                throw new Error(`${path.relative(source_dir, file)} requires ${name}, which is not available in browsers`);
+
+            module.deps[name] = add(require.resolve(name, {paths: [path.dirname(file)]}));
+        }
+
+        return index;
+    };
+
+    add(entry_file);
+    return modules;
+}
+
+/**
+ * \returns The code for a function evaluating \p module
+ */
+function module_code(module)
+{
+    let body;
+    if ( module.file.endsWith(".json") )
+        body = `module.exports = ${JSON.stringify(JSON.parse(module.source))};`;
+    else
+        body = module.source.replace(/^#!.*/, "");
+
+    let name = path.relative(path.resolve(source_dir, ".."), module.file).split(path.sep).join("/");
+    return `// ${name}\n[function(module, exports, require) {\n${body}\n}, ${JSON.stringify(module.deps)}]`;
+}
+
+/**
+ * \returns The code for an expression evaluating to the exports of the entry module
+ */
+function bundle_code(modules)
+{
+    return `(function() {
+const modules = [
+${modules.map(module_code).join(",\n")}
+];
+
+const cache = [];
+
+function load(index)
+{
+    if ( !cache[index] )
+    {
+        let [factory, deps] = modules[index];
+        cache[index] = {exports: {}};
+        factory.call(cache[index].exports, cache[index], cache[index].exports, name => load(deps[name]));
+    }
+    return cache[index].exports;
+}
+
+return load(0);
+})()`;
+}
+
+/**
+ * \brief Writes the classic script and the ES module to \p directory
+ */
+function build(directory)
+{
+    const modules = collect_modules(entry);
+    const code = bundle_code(modules);
+    const header = `// Generated by scripts/build-bundle.js, do not edit\n`;
+    const exported = Object.keys(require(entry));
+
+    let script_path = path.join(directory, "validator-bundle.js");
+    // The classic script can also be loaded with require()
+    fs.writeFileSync(script_path, `${header}var ${global_name} = ${code};
+
+if ( typeof module !== "undefined" )
+    module.exports = ${global_name};
+`);
+    console.log(`Written ${script_path}`);
+
+    let module_path = path.join(directory, "validator-bundle.mjs");
+    fs.writeFileSync(module_path, `${header}const ${global_name} = ${code};\n\nexport const {${exported.join(", ")}} = ${global_name};\nexport default ${global_name};\n`);
+    console.log(`Written ${module_path}`);
+}
+
+// The functions are exported for the tests
+if ( require.main === module )
+    build(output_dir);
+else
+    module.exports = {find_requires, collect_modules};
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Generates a validator module with precompiled validation code,
+ * so the schema doesn't need to be patched and compiled at runtime.
+ *
+ * Usage: build-standalone.js [schema [output]]
+ */
+const path = require("path");
+const fs = require("fs");
+const ajv2020 = require("ajv/dist/2020");
+const standalone_code = require("ajv/dist/standalone").default;
+const {_} = require("ajv/dist/compile/codegen");
+const {LottieValidator, get_schema_path} = require("../src/validator-node.js");
+
+const schema_path = process.argv[2] ?? get_schema_path();
+const output_path = process.argv[3] ?? path.resolve(__dirname, "..", "src", "validator-standalone.js");
+
+/**
+ * \returns Array of schema ids custom keywords look up with `getSchema`
+ */
+function referenced_schema_ids(schema)
+{
+    let ids = new Set();
+
+    let visit = (value) => {
+        if ( typeof value != "object" || value === null )
+            return;
+
+        if ( Array.isArray(value) )
+        {
+            value.forEach(visit);
+            return;
+        }
+
+        for ( let [key, child] of Object.entries(value) )
+        {
+            if ( key == "ty_oneof" || key == "splitpos_oneof" )
+                Object.values(child).forEach(option => ids.add(option.id));
+            else if ( key == "prop_oneof" )
+                child.forEach(option => ids.add(option.id));
+            else if ( key == "union_oneof" )
+                child.options.forEach(option => ids.add(option.id));
+            else if ( key == "asset_oneof" )
+                ["precomposition", "image"].forEach(asset => ids.add(child + "#/$defs/assets/" + asset));
+            else if ( key == "slot_reference" )
+                ids.add(child);
+
+            visit(child);
+        }
+    };
+
+    visit(schema);
+    return Array.from(ids);
+}
+
+const schema = JSON.parse(fs.readFileSync(schema_path, "utf8"));
+const validator = new LottieValidator(ajv2020.Ajv2020, schema, {ajv_options: {code: {source: true}}});
+const ajv = validator.validator;
+const schema_id = schema["$id"];
+
+let refs = {[schema_id]: schema_id};
+for ( let id of referenced_schema_ids(validator.schema) )
+    refs[id] = id;
+
+// Compile everything before generating the code so all keyword functions are known
+for ( let id of Object.keys(refs) )
+    ajv.getSchema(id);
+
+// Custom keywords are functions, make the generated code look them up by name
+let keyword_names = new Map();
+for ( let definition of validator.custom_validator_keywords() )
+{
+    if ( definition.validate )
+        keyword_names.set(ajv.getKeyword(definition.keyword).validate, definition.keyword);
+}
+
+for ( let scope_name of ajv.scope._values.keyword?.values() ?? [] )
+{
+    let keyword = keyword_names.get(scope_name.value.ref);
+    if ( keyword === undefined )
+        throw new Error(`Unknown keyword function ${scope_name.value.ref.name}`);
+    scope_name.value.code = _`keywords[${keyword}]`;
+}
+
+const validation_code = standalone_code(ajv, refs);
+
+// The generated module can be written anywhere, it requires the validator relative to its location
+let validator_module = path.relative(path.dirname(path.resolve(output_path)), path.resolve(__dirname, "..", "src", "validator.js"));
+validator_module = validator_module.split(path.sep).join("/");
+if ( !validator_module.startsWith(".") )
+    validator_module = "./" + validator_module;
+
+const module_code = `// Generated by scripts/build-standalone.js from ${path.basename(schema_path)}, do not edit
+"use strict";
+const {LottieValidator} = require(${JSON.stringify(validator_module)});
+
+const schema = ${JSON.stringify(validator.schema)};
+
+// Compiled validation functions by schema id
+const validators = {};
+
+const keywords = {};
+for ( let definition of LottieValidator.from_compiled(schema, null).custom_validator_keywords() )
+{
+    if ( definition.validate )
+        keywords[definition.keyword] = definition.validate;
+}
+
+// Custom keywords are called with \`self\` as \`this\` and look up schemas by id
+const self = {getSchema: id => validators[id]};
+
+(function(exports) {
+${validation_code}
+})(validators);
+
+/**
+ * \\returns A LottieValidator using the precompiled code
+ * \\param config Validator configuration (\`docs_url\` and \`spec_version\` are not supported)
+ */
+function create_validator(config={})
+{
+    return LottieValidator.from_compiled(schema, validators[schema["$id"]], config);
+}
+
+const validator = create_validator();
+
+/**
+ * \\brief Validates an object or JSON string
+ * \\param data Object or JSON string to validate
+ * \\param show_warnings If \\b true, warnings will be returned, otherwise just errors
+ * \\returns Array of errors
+ */
+function validate(data, show_warnings=true)
+{
+    return validator.validate(data, show_warnings);
+}
+
+module.exports = {validate, create_validator, validator};
+`;
+
+fs.writeFileSync(output_path, module_code);
+console.log(`Written ${output_path}`);
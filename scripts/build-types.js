@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Generates TypeScript declarations for the Lottie document model from the schema.
+ *
+ * Usage: build-types.js [schema [output]]
+ */
+const path = require("path");
+const fs = require("fs");
+const {get_schema_path} = require("../src/validator-node.js");
+
+const schema_path = process.argv[2] ?? get_schema_path();
+const output_path = process.argv[3] ?? path.resolve(__dirname, "..", "src", "lottie.d.ts");
+
+/**
+ * \returns PascalCase version of a kebab-case slug
+ */
+function pascal_case(kebab)
+{
+    return kebab.split("-").map(word => word.charAt(0).toUpperCase() + word.substring(1)).join("");
+}
+
+/**
+ * \brief Generates TypeScript type names for each def, prefixing the category where names clash
+ * \returns Map from `$ref` to type name
+ */
+function type_names(defs)
+{
+    let counts = new Map();
+    for ( let sub_schemas of Object.values(defs) )
+    {
+        for ( let name of Object.keys(sub_schemas) )
+            counts.set(name, (counts.get(name) ?? 0) + 1);
+    }
+
+    let names = new Map();
+    let first = new Set();
+    for ( let [category, sub_schemas] of Object.entries(defs) )
+    {
+        for ( let name of Object.keys(sub_schemas) )
+        {
+            let type_name = pascal_case(name);
+            // The first definition keeps the plain name
+            if ( counts.get(name) > 1 && first.has(name) )
+                type_name = pascal_case(category.replace(/s$/, "")) + type_name;
+            first.add(name);
+            names.set(`#/$defs/${category}/${name}`, type_name);
+        }
+    }
+    return names;
+}
+
+/**
+ * \returns A JSDoc comment for the schema, or an empty string if it has no title or description
+ */
+function doc_comment(schema, indent)
+{
+    let lines = [];
+    if ( schema.title )
+        lines.push(schema.title);
+    if ( schema.description && schema.description != schema.title )
+    {
+        if ( lines.length )
+            lines.push("");
+        lines.push(...schema.description.split("\n"));
+    }
+    if ( schema.default !== undefined )
+        lines.push(`@default ${JSON.stringify(schema.default)}`);
+
+    if ( lines.length == 0 )
+        return "";
+
+    if ( lines.length == 1 )
+        return `${indent}/** ${lines[0].replace(/\*\//g, "*\\/")} */\n`;
+
+    return `${indent}/**\n` + lines.map(line => `${indent} *${line ? " " + line.replace(/\*\//g, "*\\/") : ""}\n`).join("") + `${indent} */\n`;
+}
+
+class TypeGenerator
+{
+    constructor(schema)
+    {
+        this.defs = schema["$defs"];
+        this.names = type_names(this.defs);
+    }
+
+    /**
+     * \returns The TypeScript type for a schema
+     * \param schema Schema object
+     * \param indent Indentation for nested object types
+     * \param required Names of the properties required by the enclosing schemas
+     */
+    type(schema, indent="", required=[])
+    {
+        if ( schema === true || schema === undefined )
+            return "any";
+
+        if ( schema.const !== undefined )
+            return JSON.stringify(schema.const);
+
+        if ( schema.enum )
+            return schema.enum.map(value => JSON.stringify(value)).join(" | ");
+
+        required = required.concat(schema.required ?? []);
+        let parts = [];
+
+        if ( schema.$ref )
+            parts.push(this.names.get(schema.$ref) ?? "any");
+
+        for ( let sub_schema of schema.allOf ?? [] )
+            parts.push(this.type(sub_schema, indent, required));
+
+        if ( schema.properties )
+            parts.push(this.object_type(schema, indent, required));
+        else if ( !schema.$ref && !schema.allOf && !schema.oneOf && !schema.anyOf )
+            parts.push(this.basic_type(schema, indent));
+
+        for ( let key of ["oneOf", "anyOf"] )
+        {
+            if ( !schema[key] )
+                continue;
+
+            // Enumerations have a title for each value
+            if ( schema[key].every(option => option.const !== undefined) )
+            {
+                parts.push(schema[key].map(option => JSON.stringify(option.const)).join(" | "));
+                continue;
+            }
+
+            let options = schema[key].map(option => this.type({type: schema.type, ...option}, indent, required));
+            parts.push(options.length > 1 ? "(" + options.join(" | ") + ")" : options[0]);
+        }
+
+        parts = parts.filter(part => part != "any" && part != "object");
+        if ( parts.length == 0 )
+            return this.basic_type(schema, indent);
+
+        return parts.map(part => parts.length > 1 && part.includes(" | ") && !part.startsWith("(") ? `(${part})` : part).join(" & ");
+    }
+
+    /**
+     * \returns The TypeScript type for a schema based on its JSON `type`
+     */
+    basic_type(schema, indent)
+    {
+        switch ( schema.type )
+        {
+            case "number":
+            case "integer":
+                return "number";
+            case "string":
+                return "string";
+            case "boolean":
+                return "boolean";
+            case "array":
+            {
+                let item = this.type(schema.items, indent);
+                return item.includes(" ") ? `(${item})[]` : `${item}[]`;
+            }
+            case "object":
+                if ( typeof schema.additionalProperties == "object" )
+                    return `{[key: string]: ${this.type(schema.additionalProperties, indent)}}`;
+                return "object";
+        }
+        return "any";
+    }
+
+    /**
+     * \returns An object type literal with the properties of \p schema
+     */
+    object_type(schema, indent, required)
+    {
+        let inner = indent + "    ";
+        let lines = ["{\n"];
+        for ( let [name, prop] of Object.entries(schema.properties) )
+        {
+            // Properties that can't have any value (eg: `ty` for unknown types) are still allowed
+            let type = prop.not ? (this.basic_type(prop, inner) ?? "any") : this.type(prop, inner);
+            let key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+            lines.push(doc_comment(prop, inner));
+            lines.push(`${inner}${key}${required.includes(name) ? "" : "?"}: ${type};\n`);
+        }
+        lines.push(`${indent}}`);
+        return lines.join("");
+    }
+
+    /**
+     * \returns The declarations for all the defs
+     */
+    declarations()
+    {
+        let output = [];
+        for ( let [category, sub_schemas] of Object.entries(this.defs) )
+        {
+            output.push(`// ${pascal_case(category)}\n`);
+            for ( let [name, schema] of Object.entries(sub_schemas) )
+            {
+                let type_name = this.names.get(`#/$defs/${category}/${name}`);
+                let type;
+                if ( name.startsWith("all-") && schema.oneOf )
+                {
+                    // Unknown types would prevent narrowing the union based on `ty`
+                    type = schema.oneOf
+                        .filter(option => !option.$ref?.split("/").pop().startsWith("unknown-"))
+                        .map(option => this.type(option))
+                        .join(" | ");
+                }
+                else
+                {
+                    type = this.type(schema);
+                }
+                output.push(doc_comment(schema, "") + `export type ${type_name} = ${type};\n\n`);
+            }
+        }
+        return output.join("");
+    }
+}
+
+const schema = JSON.parse(fs.readFileSync(schema_path, "utf8"));
+const generator = new TypeGenerator(schema);
+
+const output = `// Generated by scripts/build-types.js from ${path.basename(schema_path)}, do not edit
+
+${generator.declarations().trimEnd()}
+`;
+
+fs.writeFileSync(output_path, output);
+console.log(`Written ${output_path}`);
@@ -0,0 +1,19 @@
+/**
+ * \brief Worker thread for validate_files and files_stats, with its own LottieValidator
+ *
+ * `workerData` has the \c schema and \c config to build the validator with,
+ * each message is a file to process and gets its result as reply.
+ */
+const {parentPort, workerData} = require("worker_threads");
+const {Ajv2020} = require("ajv/dist/2020");
+const {LottieValidator} = require("./validator.js");
+const {validate_file, file_stats} = require("./batch.js");
+
+const validator = new LottieValidator(Ajv2020, workerData.schema, workerData.config);
+
+parentPort.on("message", async (message) => {
+    if ( message.task == "stats" )
+        parentPort.postMessage(await file_stats(validator, message.file));
+    else
+        parentPort.postMessage(await validate_file(validator, message.file, message.options));
+});
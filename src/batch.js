@@ -0,0 +1,398 @@
+const fs = require("fs");
+const path = require("path");
+const {validate_dotlottie, is_zip} = require("./dotlottie.js");
+
+/**
+ * \brief Extensions of files picked up when scanning directories
+ */
+const file_extensions = [".json", ".lottie"];
+
+/**
+ * \returns \b true if the string contains glob wildcards
+ */
+function is_glob(pattern)
+{
+    return /[*?[{]/.test(pattern);
+}
+
+/**
+ * \brief Converts a glob pattern into a regular expression
+ *
+ * Supports `*`, `**`, `?`, `[...]` and `{a,b}`
+ */
+function glob_to_regex(pattern)
+{
+    let regex = "";
+    let braces = 0;
+
+    for ( let i = 0; i < pattern.length; i++ )
+    {
+        let c = pattern[i];
+        if ( c == "*" )
+        {
+            if ( pattern[i+1] == "*" )
+            {
+                // `**/` matches any number of directories, including none
+                if ( pattern[i+2] == "/" )
+                {
+                    regex += "(?:.*/)?";
+                    i += 2;
+                }
+                else
+                {
+                    regex += ".*";
+                    i += 1;
+                }
+            }
+            else
+            {
+                regex += "[^/]*";
+            }
+        }
+        else if ( c == "?" )
+        {
+            regex += "[^/]";
+        }
+        else if ( c == "[" )
+        {
+            let end = pattern.indexOf("]", i + 1);
+            if ( end == -1 )
+            {
+                regex += "\\[";
+            }
+            else
+            {
+                regex += "[" + pattern.substring(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\") + "]";
+                i = end;
+            }
+        }
+        else if ( c == "{" )
+        {
+            braces += 1;
+            regex += "(?:";
+        }
+        else if ( c == "}" && braces > 0 )
+        {
+            braces -= 1;
+            regex += ")";
+        }
+        else if ( c == "," && braces > 0 )
+        {
+            regex += "|";
+        }
+        else
+        {
+            regex += c.replace(/[.+^$()|\\\]}]/g, "\\$&");
+        }
+    }
+
+    return new RegExp("^" + regex + "$");
+}
+
+/**
+ * \brief Recursively lists the files in a directory
+ * \param dir Directory to scan
+ * \param filter Function called with each file path, returns whether to include it
+ * \param files Array to append the found files to
+ */
+function walk_directory(dir, filter, files)
+{
+    let entries = fs.readdirSync(dir, {withFileTypes: true});
+    entries.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+    for ( let entry of entries )
+    {
+        // Skip hidden files and dependencies
+        if ( entry.name.startsWith(".") || entry.name == "node_modules" )
+            continue;
+
+        let full_path = path.join(dir, entry.name);
+        if ( entry.isDirectory() )
+            walk_directory(full_path, filter, files);
+        else if ( entry.isFile() && filter(full_path) )
+            files.push(full_path);
+    }
+}
+
+/**
+ * \brief Expands a list of files, directories and glob patterns into a list of files
+ *
+ * Directories are scanned recursively for `.json` and `.lottie` files.
+ * Paths that don't exist are kept so they can be reported as errors.
+ *
+ * \param patterns Array of paths or glob patterns
+ * \returns Array of file paths, without duplicates
+ */
+function find_files(patterns)
+{
+    let files = [];
+    let has_extension = file => file_extensions.includes(path.extname(file).toLowerCase());
+
+    for ( let pattern of patterns )
+    {
+        if ( is_glob(pattern) )
+        {
+            let normalized = pattern.split(path.sep).join("/");
+            let parts = normalized.split("/");
+            let first_glob = parts.findIndex(is_glob);
+            let base = parts.slice(0, first_glob).join("/") || (normalized.startsWith("/") ? "/" : ".");
+            let regex = glob_to_regex(parts.slice(first_glob).join("/"));
+
+            if ( fs.existsSync(base) && fs.statSync(base).isDirectory() )
+            {
+                walk_directory(base, file => {
+                    let relative = path.relative(base, file).split(path.sep).join("/");
+                    return regex.test(relative);
+                }, files);
+            }
+        }
+        else if ( fs.existsSync(pattern) && fs.statSync(pattern).isDirectory() )
+        {
+            walk_directory(pattern, has_extension, files);
+        }
+        else
+        {
+            files.push(pattern);
+        }
+    }
+
+    return Array.from(new Set(files));
+}
+
+/**
+ * \brief Serializes \p data with the same indentation as \p original
+ * \param data Object to serialize
+ * \param original JSON string \p data was parsed from
+ * \returns JSON string, minified if \p original is
+ */
+function stringify_like(data, original)
+{
+    // The first indented line gives the indentation of a single level
+    let match = original.match(/^\s*[\[{][ \t]*\r?\n([ \t]+)/);
+    let json = JSON.stringify(data, null, match ? match[1] : undefined);
+    let newline = original.match(/\r?\n$/);
+    if ( match && original.includes("\r\n") )
+        json = json.replace(/\n/g, "\r\n");
+    return newline ? json + newline[0] : json;
+}
+
+/**
+ * \brief Validates a single file, either a JSON file or a dotLottie archive
+ * \param validator LottieValidator instance
+ * \param file Path to the file
+ * \param options Object with:
+ *      * \c show_warnings (default \b true)
+ *      * \c fix whether to apply fixes (JSON files only)
+ *      * \c strip_unused whether to remove unused content (JSON files only)
+ *      * \c output path to write the modified file to
+ *      * \c in_place whether to overwrite \p file when it's been modified and there's no \c output
+ *
+ *      Without \c output or \c in_place the changes are only reported.
+ *      The modified file keeps the indentation of the original.
+ * \returns Promise resolving to an array of results with \c file, \c errors
+ *          and, for dotLottie archives, \c entry and \c animation; with \c fix or \c strip_unused, \c changes
+ */
+async function validate_file(validator, file, options={})
+{
+    let show_warnings = options.show_warnings ?? true;
+
+    let file_data;
+    try {
+        file_data = await fs.promises.readFile(file);
+    } catch(e) {
+        return [{file: file, errors: [{type: "error", code: "unreadable-file", message: e.message, path: ""}]}];
+    }
+
+    if ( is_zip(file_data) || file.endsWith(".lottie") )
+    {
+        if ( options.fix || options.strip_unused )
+            return [{file: file, errors: [{type: "error", code: "unsupported-fix", message: "Modifying dotLottie files is not supported", path: ""}]}];
+
+        return validate_dotlottie(validator, file_data, show_warnings).map(result => ({
+            file: file,
+            entry: result.file,
+            animation: result.animation,
+            errors: result.errors,
+        }));
+    }
+
+    let data = file_data.toString("utf8");
+    let original = data;
+
+    if ( options.fix || options.strip_unused )
+    {
+        let changes = [];
+        let errors = null;
+
+        if ( options.fix )
+        {
+            let result = validator.fix(data, show_warnings);
+            if ( result.data === null )
+                return [{file: file, errors: result.errors, changes: []}];
+            data = result.data;
+            changes = result.changes;
+            errors = result.errors;
+        }
+
+        if ( options.strip_unused )
+        {
+            let result = validator.strip_unused(data);
+            if ( result.data === null )
+                return [{file: file, errors: validator.validate(data, show_warnings), changes: []}];
+            data = result.data;
+            changes = changes.concat(result.changes);
+            errors = validator.validate_object(data, show_warnings);
+        }
+
+        if ( options.output || (options.in_place && changes.length) )
+            await fs.promises.writeFile(options.output || file, stringify_like(data, original));
+        return [{file: file, errors: errors, changes: changes}];
+    }
+
+    return [{file: file, errors: validator.validate(data, show_warnings)}];
+}
+
+/**
+ * \brief Computes the statistics of a JSON animation file
+ * \param validator LottieValidator instance
+ * \param file Path to the file
+ * \returns Promise resolving to an object with \c file and either \c stats or \c errors
+ */
+async function file_stats(validator, file)
+{
+    let data;
+    try {
+        data = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch(e) {
+        return {file: file, errors: [{type: "error", code: "unreadable-file", message: e.message, path: ""}]};
+    }
+
+    if ( typeof data != "object" || data === null || Array.isArray(data) )
+        return {file: file, errors: [{type: "error", code: "invalid-json", message: "Document is not a Lottie animation", path: ""}]};
+
+    return {file: file, stats: validator.stats(data)};
+}
+
+/**
+ * \brief Calls \p callback on each file, processing several of them at the same time
+ *
+ * This only overlaps file I/O: the callbacks run on the main thread so
+ * validation itself doesn't use more than one CPU core.
+ *
+ * \param files Array of file paths
+ * \param jobs Maximum number of files processed at once
+ * \param callback Async function called with each file path
+ * \returns Promise resolving to an array with the results of \p callback, in the same order as \p files
+ */
+async function map_files(files, jobs, callback)
+{
+    let results = new Array(files.length);
+    let next = 0;
+
+    let worker = async () => {
+        while ( next < files.length )
+        {
+            let index = next++;
+            results[index] = await callback(files[index]);
+        }
+    };
+
+    jobs = Math.max(1, Math.min(jobs ?? 8, files.length));
+    await Promise.all(Array.from({length: jobs}, worker));
+
+    return results;
+}
+
+/**
+ * \brief Processes the files in worker threads, each with its own LottieValidator
+ * \param files Array of file paths
+ * \param jobs Number of worker threads
+ * \param workers Object with the \c schema and \c config to build the validators with
+ * \param message Object sent to the workers along with each file, \c task selects
+ *        validate_file (\c "validate", using \c options) or file_stats (\c "stats")
+ * \returns Promise resolving to an array with the results, in the same order as \p files
+ */
+async function map_files_in_workers(files, jobs, workers, message)
+{
+    const {Worker} = require("worker_threads");
+    let results = new Array(files.length);
+    let next = 0;
+
+    let run_worker = () => new Promise((resolve, reject) => {
+        let worker = new Worker(path.join(__dirname, "batch-worker.js"), {workerData: workers});
+        let index;
+
+        let send_next = () => {
+            if ( next >= files.length )
+            {
+                worker.terminate().then(() => resolve());
+                return;
+            }
+            index = next++;
+            worker.postMessage({...message, file: files[index]});
+        };
+
+        worker.on("message", result => {
+            results[index] = result;
+            send_next();
+        });
+        worker.on("error", reject);
+        send_next();
+    });
+
+    jobs = Math.max(1, Math.min(jobs, files.length));
+    await Promise.all(Array.from({length: jobs}, run_worker));
+
+    return results;
+}
+
+/**
+ * \returns Whether to process \p files in worker threads based on \p options
+ */
+function use_workers(files, options)
+{
+    return options.workers && options.jobs > 1 && files.length > 1;
+}
+
+/**
+ * \brief Validates multiple files, reading several of them at the same time
+ * \param validator LottieValidator instance, shared by all files
+ * \param files Array of file paths
+ * \param options Options as for validate_file, plus:
+ *      * \c jobs for the maximum number of files processed at once
+ *      * \c workers object with the \c schema and \c config for the LottieValidator constructor,
+ *        to validate the files in \c jobs worker threads instead of using \p validator.
+ *        Both must be serializable, so the workers can't use custom rules or message functions.
+ * \returns Promise resolving to an array of results, in the same order as \p files
+ */
+async function validate_files(validator, files, options={})
+{
+    let {workers, ...file_options} = options;
+    let results;
+    if ( use_workers(files, options) )
+        results = await map_files_in_workers(files, options.jobs, workers, {task: "validate", options: file_options});
+    else
+        results = await map_files(files, options.jobs, file => validate_file(validator, file, file_options));
+    return results.flat();
+}
+
+/**
+ * \brief Computes the statistics of multiple files, reading several of them at the same time
+ * \param validator LottieValidator instance, shared by all files
+ * \param files Array of file paths
+ * \param options Object with \c jobs for the maximum number of files processed at once
+ *        and \c workers as for validate_files
+ * \returns Promise resolving to an array of results as from file_stats, in the same order as \p files
+ */
+async function files_stats(validator, files, options={})
+{
+    if ( use_workers(files, options) )
+        return map_files_in_workers(files, options.jobs, options.workers, {task: "stats"});
+    return map_files(files, options.jobs, file => file_stats(validator, file));
+}
+
+// Node module exports
+if ( typeof module !== "undefined" )
+{
+    module.exports = {find_files, validate_file, validate_files, file_stats, files_stats, glob_to_regex};
+}
@@ -0,0 +1,302 @@
+const zlib = require("zlib");
+
+/**
+ * \brief Minimal read-only zip archive reader
+ * \pre Running on node
+ */
+class ZipArchive
+{
+    /**
+     * \param buffer Buffer with the contents of the zip file
+     * \throws Error if \p buffer is not a supported zip file
+     */
+    constructor(buffer)
+    {
+        this.buffer = buffer;
+        this.entries = new Map();
+
+        // End of central directory record, it might be followed by a comment of up to 64k
+        let eocd = -1;
+        for ( let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i-- )
+        {
+            if ( buffer.readUInt32LE(i) == 0x06054b50 )
+            {
+                eocd = i;
+                break;
+            }
+        }
+
+        if ( eocd == -1 )
+            throw new Error("Not a zip file");
+
+        let count = buffer.readUInt16LE(eocd + 10);
+        let offset = buffer.readUInt32LE(eocd + 16);
+        if ( count == 0xffff || offset == 0xffffffff )
+            throw new Error("ZIP64 archives are not supported");
+
+        for ( let i = 0; i < count; i++ )
+        {
+            if ( offset + 46 > buffer.length || buffer.readUInt32LE(offset) != 0x02014b50 )
+                throw new Error("Corrupted zip central directory");
+
+            let name_length = buffer.readUInt16LE(offset + 28);
+            let extra_length = buffer.readUInt16LE(offset + 30);
+            let comment_length = buffer.readUInt16LE(offset + 32);
+            let name = buffer.toString("utf8", offset + 46, offset + 46 + name_length);
+
+            this.entries.set(name, {
+                method: buffer.readUInt16LE(offset + 10),
+                compressed_size: buffer.readUInt32LE(offset + 20),
+                header_offset: buffer.readUInt32LE(offset + 42),
+            });
+
+            offset += 46 + name_length + extra_length + comment_length;
+        }
+    }
+
+    /**
+     * \returns \b true if the archive contains a file with the given name
+     */
+    has(name)
+    {
+        return this.entries.has(name);
+    }
+
+    /**
+     * \returns Array of file names in the archive
+     */
+    names()
+    {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * \returns Buffer with the uncompressed contents of the given file
+     * \throws Error if the file is missing or can't be extracted
+     */
+    read(name)
+    {
+        let entry = this.entries.get(name);
+        if ( !entry )
+            throw new Error(`${name} is not in the archive`);
+
+        let header = entry.header_offset;
+        if ( this.buffer.readUInt32LE(header) != 0x04034b50 )
+            throw new Error(`Corrupted zip entry for ${name}`);
+
+        let start = header + 30 + this.buffer.readUInt16LE(header + 26) + this.buffer.readUInt16LE(header + 28);
+        let data = this.buffer.subarray(start, start + entry.compressed_size);
+
+        if ( entry.method == 0 )
+            return data;
+        if ( entry.method == 8 )
+            return zlib.inflateRawSync(data);
+
+        throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+    }
+}
+
+/**
+ * \returns An error object in the same format as the ones from LottieValidator
+ * \param validator LottieValidator, used to look up the message for \p code
+ * \param code Error code
+ * \param params Error parameters
+ * \param path JSON path within the manifest
+ * \param name Name of the object the error refers to
+ * \param message Message to use instead of the one for \p code (eg: for exceptions)
+ */
+function archive_error(validator, code, params=undefined, path="", name="dotLottie", message=undefined)
+{
+    return {
+        type: "error",
+        code: code,
+        params: params,
+        message: message ?? validator.format_message(code, {...params, name: validator.translate_name(name)}),
+        path: path,
+        name: name,
+        docs: undefined,
+    };
+}
+
+/**
+ * \returns The path within the archive of the directory containing animations and images
+ *          (they are different between version 1 and 2 of the dotLottie format)
+ * \param manifest Parsed manifest
+ * \param archive ZipArchive, used to pick the layout when the manifest doesn't have a valid `version`
+ */
+function dotlottie_layout(manifest, archive)
+{
+    const v1 = {animations: "animations/", images: "images/"};
+    const v2 = {animations: "a/", images: "i/"};
+
+    if ( typeof manifest.version == "string" )
+        return manifest.version.startsWith("1") ? v1 : v2;
+
+    let names = Array.from(archive.entries.keys());
+    if ( !names.some(name => name.startsWith(v2.animations)) && names.some(name => name.startsWith(v1.animations)) )
+        return v1;
+    return v2;
+}
+
+/**
+ * \brief Checks image assets with external files are present in the archive
+ * \param validator LottieValidator for the animation
+ * \param archive ZipArchive
+ * \param data Animation object
+ * \param images_dir Directory for images within the archive
+ * \param show_warnings Whether to include warnings
+ * \returns Array of errors
+ */
+function validate_archive_images(validator, archive, data, images_dir, show_warnings)
+{
+    let errors = [];
+    if ( typeof data != "object" || data === null || !Array.isArray(data.assets) )
+        return errors;
+
+    let image_validator = validator.validator_for(data);
+    let file_schema = image_validator.defs.assets.image.allOf[2].properties.p;
+
+    for ( let i = 0; i < data.assets.length; i++ )
+    {
+        let asset = data.assets[i];
+        if ( typeof asset != "object" || asset === null || "layers" in asset || typeof asset.p != "string" )
+            continue;
+
+        if ( asset.e === 1 || asset.p.startsWith("data:") )
+            continue;
+
+        // `u` is usually the images directory, but the image might be relative to the archive root
+        let candidates = [
+            ((asset.u ?? "") + asset.p).replace(/^\/+/, ""),
+            images_dir + asset.p,
+        ];
+
+        if ( !candidates.some(name => archive.has(name)) )
+        {
+            let error = image_validator._cleaned_error({
+                type: "error",
+                rule: "archive-image",
+                code: "missing-archive-image",
+                params: {file: asset.p},
+                instancePath: `/assets/${i}/p`,
+                parentSchema: file_schema,
+            }, data, show_warnings);
+            if ( error )
+                errors.push(error);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * \brief Validates a dotLottie archive
+ * \param validator LottieValidator used for the animations
+ * \param buffer Buffer with the contents of the `.lottie` file
+ * \param show_warnings If \b true, warnings will be returned, otherwise just errors
+ * \returns Array of results, one for the manifest and one for each animation, with
+ *          \c file (path within the archive), \c animation (id from the manifest) and \c errors
+ */
+function validate_dotlottie(validator, buffer, show_warnings=true)
+{
+    let manifest_result = {file: "manifest.json", animation: null, errors: []};
+    let results = [manifest_result];
+
+    let archive;
+    try {
+        archive = new ZipArchive(buffer);
+    } catch(e) {
+        manifest_result.file = null;
+        manifest_result.errors.push(archive_error(validator, "invalid-archive"), archive_error(validator, "invalid-archive", undefined, "", "dotLottie", e.message));
+        return results;
+    }
+
+    if ( !archive.has("manifest.json") )
+    {
+        manifest_result.errors.push(archive_error(validator, "missing-manifest"));
+        return results;
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(archive.read("manifest.json").toString("utf8"));
+    } catch(e) {
+        manifest_result.errors.push(archive_error(validator, "invalid-manifest", undefined, "", "Manifest"), archive_error(validator, "invalid-manifest", undefined, "", "Manifest", e.message));
+        return results;
+    }
+
+    if ( typeof manifest != "object" || manifest === null || !Array.isArray(manifest.animations) )
+    {
+        manifest_result.errors.push(archive_error(validator, "invalid-manifest", {property: "animations"}, "/animations", "Manifest"));
+        return results;
+    }
+
+    if ( manifest.animations.length == 0 )
+        manifest_result.errors.push(archive_error(validator, "empty-manifest", undefined, "/animations", "Manifest"));
+
+    let layout = dotlottie_layout(manifest, archive);
+    let ids = new Set();
+
+    for ( let i = 0; i < manifest.animations.length; i++ )
+    {
+        let entry = manifest.animations[i];
+        let id = entry?.id;
+        if ( typeof id != "string" )
+        {
+            manifest_result.errors.push(archive_error(validator, "invalid-animation-id", undefined, `/animations/${i}`, "Manifest"));
+            continue;
+        }
+
+        if ( ids.has(id) )
+        {
+            manifest_result.errors.push(archive_error(validator, "duplicate-animation-id", {id: id}, `/animations/${i}/id`, "Manifest"));
+            continue;
+        }
+        ids.add(id);
+
+        let file = layout.animations + id + ".json";
+        if ( !archive.has(file) )
+        {
+            manifest_result.errors.push(archive_error(validator, "missing-animation-file", {id: id, file: file}, `/animations/${i}/id`, "Manifest"));
+            continue;
+        }
+
+        let result = {file: file, animation: id, errors: []};
+        results.push(result);
+
+        let string;
+        try {
+            string = archive.read(file).toString("utf8");
+        } catch(e) {
+            result.errors.push(archive_error(validator, "invalid-archive-entry", undefined, "", "dotLottie", e.message));
+            continue;
+        }
+
+        result.errors = validator.validate_string(string, show_warnings);
+
+        let data;
+        try {
+            data = JSON.parse(string);
+        } catch(e) {
+            continue;
+        }
+
+        result.errors = result.errors.concat(validate_archive_images(validator, archive, data, layout.images, show_warnings));
+    }
+
+    return results;
+}
+
+/**
+ * \returns \b true if the buffer looks like a zip file (and therefore possibly a dotLottie)
+ */
+function is_zip(buffer)
+{
+    return buffer.length >= 4 && buffer.readUInt32LE(0) == 0x04034b50;
+}
+
+// Node module exports
+if ( typeof module !== "undefined" )
+{
+    module.exports = {validate_dotlottie, is_zip, ZipArchive};
+}
@@ -0,0 +1,371 @@
+/**
+ * \brief Output formats for validation results
+ *
+ * Each formatter takes an array of results, each with a \c file path, an optional
+ * \c entry (file within a dotLottie archive) and an array of \c errors as returned
+ * by LottieValidator, and returns the output as a string.
+ */
+
+const ansi = {
+    reset: "\x1b[0m",
+    bold: "\x1b[1m",
+    dim: "\x1b[2m",
+    red: "\x1b[31m",
+    yellow: "\x1b[33m",
+    cyan: "\x1b[36m",
+    underline: "\x1b[4m",
+};
+
+/**
+ * \returns The name to show for a result
+ */
+function result_name(result)
+{
+    return result.entry ? `${result.file}:${result.entry}` : result.file;
+}
+
+/**
+ * \returns Object with the number of errors and warnings in \p results
+ */
+function count_errors(results)
+{
+    let counts = {errors: 0, warnings: 0};
+    for ( let result of results )
+    {
+        for ( let error of result.errors )
+        {
+            if ( error.type == "warning" )
+                counts.warnings += 1;
+            else
+                counts.errors += 1;
+        }
+    }
+    return counts;
+}
+
+/**
+ * \returns \p count followed by \p word, pluralized as needed
+ */
+function plural(count, word)
+{
+    return `${count} ${word}${count == 1 ? "" : "s"}`;
+}
+
+/**
+ * \brief Human readable output, grouped by file
+ * \param results Validation results
+ * \param color Whether to use ANSI escape sequences for colors
+ */
+function format_text(results, color=false)
+{
+    let style = (code, text) => color ? code + text + ansi.reset : text;
+    let lines = [];
+
+    for ( let result of results )
+    {
+        if ( result.errors.length == 0 )
+            continue;
+
+        lines.push(style(ansi.bold + ansi.underline, result_name(result)));
+
+        for ( let error of result.errors )
+        {
+            let location = error.path || "/";
+            if ( error.line !== undefined )
+                location += style(ansi.dim, ` (${error.line}:${error.column})`);
+
+            let names = (error.path_names ?? []).filter(name => name);
+            if ( names.length )
+                location += " " + style(ansi.cyan, names.join(" > "));
+
+            let label = error.type == "warning" ? style(ansi.yellow, "warning") : style(ansi.red, "error");
+            lines.push(`  ${location}`);
+            lines.push(`    ${label} ${error.message}`);
+            if ( error.docs )
+                lines.push("    " + style(ansi.dim, error.docs));
+        }
+
+        lines.push("");
+    }
+
+    // Per-file summary when validating multiple files
+    if ( results.length > 1 )
+    {
+        for ( let result of results )
+        {
+            let counts = count_errors([result]);
+            let status;
+            if ( counts.errors )
+                status = style(ansi.red, "fail");
+            else if ( counts.warnings )
+                status = style(ansi.yellow, "warn");
+            else
+                status = style(ansi.dim, "ok  ");
+            lines.push(`${status} ${result_name(result)} (${plural(counts.errors, "error")}, ${plural(counts.warnings, "warning")})`);
+        }
+        lines.push("");
+    }
+
+    let counts = count_errors(results);
+    let summary = `${plural(counts.errors, "error")}, ${plural(counts.warnings, "warning")}`;
+    if ( results.length > 1 )
+    {
+        let failed = results.filter(result => count_errors([result]).errors > 0).length;
+        summary = `${plural(results.length, "file")} checked, ${failed} with errors: ${summary}`;
+    }
+    lines.push(style(ansi.bold, counts.errors ? style(ansi.red, summary) : summary));
+
+    return lines.join("\n");
+}
+
+/**
+ * \brief SARIF 2.1.0 log, for code scanning tools
+ * \param results Validation results
+ */
+function format_sarif(results)
+{
+    let rules = new Map();
+    let sarif_results = [];
+
+    for ( let result of results )
+    {
+        for ( let error of result.errors )
+        {
+            // Rules are the error codes, the same code can refer to different kinds of objects
+            let rule_id = error.code;
+            if ( !rules.has(rule_id) )
+                rules.set(rule_id, {id: rule_id});
+
+            let physical_location = {
+                artifactLocation: {uri: result.file},
+            };
+            if ( error.line !== undefined && !result.entry )
+            {
+                physical_location.region = {startLine: error.line, startColumn: error.column};
+                if ( error.end_line !== undefined )
+                {
+                    physical_location.region.endLine = error.end_line;
+                    physical_location.region.endColumn = error.end_column;
+                }
+            }
+
+            sarif_results.push({
+                ruleId: rule_id,
+                level: error.type == "warning" ? "warning" : "error",
+                message: {text: error.message},
+                locations: [{
+                    physicalLocation: physical_location,
+                    logicalLocations: [{
+                        fullyQualifiedName: (result.entry ? result.entry + "#" : "") + error.path,
+                    }],
+                }],
+            });
+        }
+    }
+
+    let sarif = {
+        $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+        version: "2.1.0",
+        runs: [{
+            tool: {
+                driver: {
+                    name: "lottie-specs",
+                    informationUri: "https://github.com/lottie/lottie-specs-js",
+                    rules: Array.from(rules.values()),
+                },
+            },
+            results: sarif_results,
+        }],
+    };
+
+    return JSON.stringify(sarif, null, 4);
+}
+
+/**
+ * \brief Escapes text for XML content and attributes
+ */
+function xml_escape(text)
+{
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * \returns A single line describing the error, for plain text outputs
+ */
+function error_line(error)
+{
+    let line = `${error.type}: ${error.path || "/"}: ${error.message}`;
+    if ( error.docs )
+        line += ` (${error.docs})`;
+    return line;
+}
+
+/**
+ * \brief JUnit XML report, with a test case for each file
+ * \param results Validation results
+ */
+function format_junit(results)
+{
+    let failures = results.filter(result => result.errors.some(e => e.type != "warning")).length;
+    let lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<testsuites name="lottie-specs" tests="${results.length}" failures="${failures}">`,
+        `    <testsuite name="lottie-specs" tests="${results.length}" failures="${failures}" errors="0">`,
+    ];
+
+    for ( let result of results )
+    {
+        let name = xml_escape(result_name(result));
+        lines.push(`        <testcase classname="lottie-specs" name="${name}" file="${xml_escape(result.file)}">`);
+
+        let errors = result.errors.filter(e => e.type != "warning");
+        if ( errors.length )
+        {
+            let message = `${plural(errors.length, "error")}: ${errors[0].message}`;
+            lines.push(`            <failure message="${xml_escape(message)}" type="error">${xml_escape(errors.map(error_line).join("\n"))}</failure>`);
+        }
+
+        let warnings = result.errors.filter(e => e.type == "warning");
+        if ( warnings.length )
+            lines.push(`            <system-out>${xml_escape(warnings.map(error_line).join("\n"))}</system-out>`);
+
+        lines.push(`        </testcase>`);
+    }
+
+    lines.push(`    </testsuite>`);
+    lines.push(`</testsuites>`);
+    return lines.join("\n");
+}
+
+/**
+ * \brief Escapes data for GitHub workflow commands
+ * \param text Text to escape
+ * \param property Whether \p text is a property value, which requires more escaping
+ */
+function github_escape(text, property)
+{
+    text = String(text).replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+    if ( property )
+        text = text.replace(/:/g, "%3A").replace(/,/g, "%2C");
+    return text;
+}
+
+/**
+ * \brief GitHub Actions workflow commands to show errors as annotations
+ * \param results Validation results
+ */
+function format_github(results)
+{
+    let lines = [];
+
+    for ( let result of results )
+    {
+        for ( let error of result.errors )
+        {
+            let properties = [`file=${github_escape(result.file, true)}`];
+            if ( error.line !== undefined && !result.entry )
+                properties.push(`line=${error.line}`, `col=${error.column}`);
+            properties.push(`title=${github_escape(error.name ?? "Lottie", true)}`);
+
+            let message = (result.entry ? result.entry + ": " : "") + (error.path || "/") + ": " + error.message;
+            if ( error.docs )
+                message += `\n${error.docs}`;
+
+            let command = error.type == "warning" ? "warning" : "error";
+            lines.push(`::${command} ${properties.join(",")}::${github_escape(message, false)}`);
+        }
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * \brief Formats validation results
+ * \param format One of \c formats
+ * \param results Validation results
+ * \param options Object with extra options (`color` for the text format)
+ * \returns The formatted string
+ */
+function format_results(format, results, options={})
+{
+    switch ( format )
+    {
+        case "text":
+            return format_text(results, options.color);
+        case "sarif":
+            return format_sarif(results);
+        case "junit":
+            return format_junit(results);
+        case "github":
+            return format_github(results);
+    }
+
+    throw new Error(`Unknown format ${format}`);
+}
+
+/**
+ * \brief Human readable output for animation statistics
+ * \param results Array of objects with \c file and either \c stats (as returned by LottieValidator.stats) or \c errors
+ * \param options Object with extra options (`color`)
+ */
+function format_stats(results, options={})
+{
+    let style = (code, text) => options.color ? code + text + ansi.reset : text;
+    let lines = [];
+    let by_type = counts => Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, count]) => `${name} ${count}`)
+        .join(", ");
+
+    for ( let result of results )
+    {
+        lines.push(style(ansi.bold + ansi.underline, result.file));
+
+        if ( !result.stats )
+        {
+            for ( let error of result.errors )
+                lines.push(`  ${style(ansi.red, "error")} ${error.message}`);
+            lines.push("");
+            continue;
+        }
+
+        let stats = result.stats;
+        let duration = stats.duration === null ? "?" : `${Number(stats.duration.toFixed(3))}s`;
+        lines.push(`  Size:         ${stats.width}x${stats.height}, ${duration} (${stats.frames} frames at ${stats.frame_rate} fps)`);
+        lines.push(`  File:         ${plural(stats.bytes, "byte")}, ${plural(stats.assets.embedded_bytes, "byte")} of embedded assets`);
+        lines.push(`  Layers:       ${stats.layers.total}` + (stats.layers.total ? style(ansi.dim, ` (${by_type(stats.layers.by_type)})`) : ""));
+        lines.push(`  Shapes:       ${stats.shapes.total}` + (stats.shapes.total ? style(ansi.dim, ` (${by_type(stats.shapes.by_type)})`) : ""));
+        lines.push(`  Masks:        ${stats.masks}, mattes: ${stats.mattes}`);
+        lines.push(`  Assets:       ${plural(stats.assets.precompositions, "precomposition")} (depth ${stats.precomposition_depth}), ${plural(stats.assets.images, "image")}`);
+        lines.push(`  Properties:   ${stats.properties.animated} animated, ${stats.properties.static} static, ${plural(stats.keyframes, "keyframe")}`);
+
+        if ( stats.largest.length )
+        {
+            lines.push("  Largest:");
+            for ( let item of stats.largest )
+            {
+                let name = item.name !== undefined ? ` ${style(ansi.cyan, JSON.stringify(item.name))}` : "";
+                lines.push(`    ${String(item.bytes).padStart(10)} ${item.path} ${item.type}${name}`);
+            }
+        }
+
+        lines.push("");
+    }
+
+    return lines.join("\n").trimEnd();
+}
+
+/**
+ * \brief Formats supported by format_results
+ */
+const formats = ["text", "sarif", "junit", "github"];
+
+// Node module exports
+if ( typeof module !== "undefined" )
+{
+    module.exports = {format_results, format_stats, formats};
+}
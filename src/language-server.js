@@ -0,0 +1,710 @@
+const {JsonSourceMap, escape_json_pointer, resolve_json_pointer} = require("./validator.js");
+
+/**
+ * \brief Language Server Protocol constants used by LottieLanguageServer
+ */
+const lsp = {
+    sync_full: 1,
+    severity_error: 1,
+    severity_warning: 2,
+    completion_property: 10,
+    completion_value: 12,
+    completion_enum_member: 20,
+    method_not_found: -32601,
+    internal_error: -32603,
+};
+
+/**
+ * \returns The JSON path of the parent of \p path
+ */
+function parent_path(path)
+{
+    return path.substring(0, path.lastIndexOf("/"));
+}
+
+/**
+ * \returns The value at \p path in \p data, or \b undefined if it doesn't exist
+ */
+function value_at(data, path)
+{
+    if ( path === "" )
+        return data;
+
+    let [parent, key] = resolve_json_pointer(data, path);
+    return parent === undefined ? undefined : parent[key];
+}
+
+/**
+ * \brief Finds what is being typed at an offset, tolerating incomplete JSON
+ * \param text Document text
+ * \param offset Cursor offset
+ * \returns Object with:
+ *      * \c path JSON path to the object or array containing the cursor
+ *      * \c array whether the container is an array
+ *      * \c index index of the element at the cursor (arrays only)
+ *      * \c in_key \b true if a property name is expected at the cursor, otherwise a value is expected
+ *      * \c key name of the property whose value is expected (objects only)
+ *      * \c keys property names already in the object
+ *      * \c start and \c end offsets of the token at the cursor (equal if there's none)
+ *
+ *      or \b null if the cursor isn't at a place where a property name or a value can be typed
+ */
+function completion_context(text, offset)
+{
+    let stack = [];
+    let token_start = null;
+    let value_path = () => {
+        let top = stack[stack.length - 1];
+        if ( !top )
+            return "";
+        return top.path + "/" + (top.array ? top.index : escape_json_pointer(top.key ?? ""));
+    };
+    let value_done = () => {
+        if ( stack.length )
+            stack[stack.length - 1].state = "comma";
+    };
+
+    for ( let i = 0; i < offset; )
+    {
+        let c = text[i];
+        if ( c == " " || c == "\t" || c == "\n" || c == "\r" )
+        {
+            i++;
+        }
+        else if ( c == "\"" )
+        {
+            let end = i + 1;
+            while ( end < text.length && text[end] != "\"" && text[end] != "\n" )
+                end += text[end] == "\\" ? 2 : 1;
+
+            // Cursor within the string
+            if ( end >= offset )
+            {
+                token_start = i;
+                break;
+            }
+
+            let top = stack[stack.length - 1];
+            if ( top && !top.array && top.state == "key" )
+            {
+                try {
+                    top.key = JSON.parse(text.substring(i, end + 1));
+                } catch(e) {
+                    top.key = text.substring(i + 1, end);
+                }
+                top.keys.push(top.key);
+                top.state = "colon";
+            }
+            else
+            {
+                value_done();
+            }
+            i = end + 1;
+        }
+        else if ( c == "{" || c == "[" )
+        {
+            stack.push({path: value_path(), array: c == "[", index: 0, key: null, keys: [], state: c == "[" ? "value" : "key"});
+            i++;
+        }
+        else if ( c == "}" || c == "]" )
+        {
+            stack.pop();
+            value_done();
+            i++;
+        }
+        else if ( c == ":" )
+        {
+            if ( stack.length )
+                stack[stack.length - 1].state = "value";
+            i++;
+        }
+        else if ( c == "," )
+        {
+            let top = stack[stack.length - 1];
+            if ( top )
+            {
+                top.index++;
+                top.state = top.array ? "value" : "key";
+            }
+            i++;
+        }
+        else
+        {
+            // Numbers and literals
+            let end = i;
+            while ( end < text.length && !/[\s,:[\]{}"]/.test(text[end]) )
+                end++;
+            if ( end >= offset )
+            {
+                token_start = i;
+                break;
+            }
+            value_done();
+            i = end;
+        }
+    }
+
+    let top = stack[stack.length - 1];
+    if ( !top || (top.state != "key" && top.state != "value") )
+        return null;
+
+    let start = token_start ?? offset;
+    let end = offset;
+    if ( token_start !== null && text[token_start] == "\"" )
+    {
+        while ( end < text.length && text[end] != "\"" && text[end] != "\n" )
+            end += text[end] == "\\" ? 2 : 1;
+        if ( text[end] == "\"" )
+            end++;
+    }
+    else
+    {
+        while ( end < text.length && !/[\s,:[\]{}"]/.test(text[end]) )
+            end++;
+    }
+
+    return {
+        path: top.path,
+        array: top.array,
+        index: top.index,
+        in_key: top.state == "key",
+        key: top.array ? undefined : top.key,
+        keys: top.keys,
+        start: start,
+        end: Math.min(end, text.length),
+    };
+}
+
+/**
+ * \returns Markdown documentation for a value described by LottieValidator.describe
+ */
+function description_markdown(info)
+{
+    let parts = [];
+    if ( info.description && info.description != info.title )
+        parts.push(info.description);
+    if ( info.docs )
+        parts.push(`[Documentation](${info.docs})`);
+    return parts.join("\n\n");
+}
+
+/**
+ * \brief Language server for Lottie JSON files, communicating over the Language Server Protocol
+ *
+ * Publishes validation results as diagnostics, shows the schema documentation on hover,
+ * completes property names and enumeration values and provides quick fixes for
+ * unknown properties and keyframe order.
+ */
+class LottieLanguageServer
+{
+    /**
+     * \param validator LottieValidator instance
+     * \param options Object with:
+     *      * \c show_warnings (default \b true)
+     *      * \c delay milliseconds to wait after a change before validating (default 200)
+     */
+    constructor(validator, options={})
+    {
+        this.validator = validator;
+        this.show_warnings = options.show_warnings ?? true;
+        this.delay = options.delay ?? 200;
+        this.documents = new Map();
+        this.shutdown_requested = false;
+        this.send = () => {};
+        this.on_exit = () => {};
+    }
+
+    /**
+     * \brief Serves requests from a stream, using the LSP base protocol framing
+     * \param input Readable stream (eg: `process.stdin`)
+     * \param output Writable stream (eg: `process.stdout`)
+     * \returns Promise resolving to the exit code when the client sends `exit` or closes \p input
+     */
+    listen(input, output)
+    {
+        this.send = message => {
+            let body = Buffer.from(JSON.stringify(message), "utf8");
+            output.write(`Content-Length: ${body.length}\r\n\r\n`);
+            output.write(body);
+        };
+
+        return new Promise(resolve => {
+            let buffer = Buffer.alloc(0);
+            let on_data = chunk => {
+                buffer = Buffer.concat([buffer, chunk]);
+                while ( true )
+                {
+                    let header_end = buffer.indexOf("\r\n\r\n");
+                    if ( header_end == -1 )
+                        return;
+
+                    let headers = buffer.subarray(0, header_end).toString("ascii");
+                    let length = Number(/Content-Length:\s*(\d+)/i.exec(headers)?.[1]);
+                    let body_start = header_end + 4;
+                    if ( isNaN(length) )
+                    {
+                        // Skip malformed headers
+                        buffer = buffer.subarray(body_start);
+                        continue;
+                    }
+                    if ( buffer.length < body_start + length )
+                        return;
+
+                    let body = buffer.subarray(body_start, body_start + length).toString("utf8");
+                    buffer = buffer.subarray(body_start + length);
+
+                    let message;
+                    try {
+                        message = JSON.parse(body);
+                    } catch(e) {
+                        continue;
+                    }
+
+                    let response = this.handle(message);
+                    if ( response )
+                        this.send(response);
+                }
+            };
+
+            let finish = () => {
+                for ( let document of this.documents.values() )
+                    clearTimeout(document.timer);
+                input.removeListener("data", on_data);
+                input.removeListener("end", finish);
+                resolve(this.shutdown_requested ? 0 : 1);
+            };
+
+            this.on_exit = finish;
+            input.on("data", on_data);
+            input.on("end", finish);
+        });
+    }
+
+    /**
+     * \brief Handles a single JSON-RPC message
+     * \returns The response for requests, \b null for notifications
+     */
+    handle(message)
+    {
+        let handlers = LottieLanguageServer.handlers;
+        let handler = Object.hasOwn(handlers, message.method) ? handlers[message.method] : null;
+        let is_request = message.id !== undefined && message.id !== null;
+
+        if ( !handler )
+        {
+            if ( !is_request )
+                return null;
+            return {jsonrpc: "2.0", id: message.id, error: {code: lsp.method_not_found, message: `Unknown method ${message.method}`}};
+        }
+
+        try {
+            let result = handler.call(this, message.params ?? {});
+            return is_request ? {jsonrpc: "2.0", id: message.id, result: result ?? null} : null;
+        } catch(e) {
+            if ( !is_request )
+                return null;
+            return {jsonrpc: "2.0", id: message.id, error: {code: lsp.internal_error, message: e.message}};
+        }
+    }
+
+    static handlers = {
+        "initialize": function(params)
+        {
+            return {
+                capabilities: {
+                    textDocumentSync: {openClose: true, change: lsp.sync_full},
+                    hoverProvider: true,
+                    completionProvider: {triggerCharacters: ["\"", ":"]},
+                    codeActionProvider: {codeActionKinds: ["quickfix"]},
+                },
+                serverInfo: {name: "lottie-specs"},
+            };
+        },
+        "shutdown": function()
+        {
+            this.shutdown_requested = true;
+            return null;
+        },
+        "exit": function()
+        {
+            this.on_exit();
+        },
+        "textDocument/didOpen": function(params)
+        {
+            let document = {
+                uri: params.textDocument.uri,
+                version: params.textDocument.version,
+                text: params.textDocument.text,
+                data: null,
+                parsed_text: null,
+                timer: null,
+            };
+            this.documents.set(document.uri, document);
+            this.publish_diagnostics(document);
+        },
+        "textDocument/didChange": function(params)
+        {
+            let document = this.documents.get(params.textDocument.uri);
+            if ( !document || !params.contentChanges.length )
+                return;
+
+            document.version = params.textDocument.version;
+            document.text = params.contentChanges[params.contentChanges.length - 1].text;
+            clearTimeout(document.timer);
+            document.timer = setTimeout(() => this.publish_diagnostics(document), this.delay);
+        },
+        "textDocument/didClose": function(params)
+        {
+            let document = this.documents.get(params.textDocument.uri);
+            if ( !document )
+                return;
+
+            clearTimeout(document.timer);
+            this.documents.delete(document.uri);
+            this.send({jsonrpc: "2.0", method: "textDocument/publishDiagnostics", params: {uri: document.uri, diagnostics: []}});
+        },
+        "textDocument/hover": function(params)
+        {
+            let document = this.documents.get(params.textDocument.uri);
+            return document ? this.hover(document, params.position) : null;
+        },
+        "textDocument/completion": function(params)
+        {
+            let document = this.documents.get(params.textDocument.uri);
+            return document ? this.completion(document, params.position) : null;
+        },
+        "textDocument/codeAction": function(params)
+        {
+            let document = this.documents.get(params.textDocument.uri);
+            return document ? this.code_actions(document, params.context?.diagnostics ?? []) : null;
+        },
+    };
+
+    /**
+     * \brief Validates a document and sends its diagnostics to the client
+     */
+    publish_diagnostics(document)
+    {
+        document.timer = null;
+        this.send({
+            jsonrpc: "2.0",
+            method: "textDocument/publishDiagnostics",
+            params: {uri: document.uri, version: document.version, diagnostics: this.diagnostics(document)},
+        });
+    }
+
+    /**
+     * \returns Array of LSP diagnostics for the current text of \p document
+     */
+    diagnostics(document)
+    {
+        let source_map = new JsonSourceMap(document.text);
+        let errors = this.validator.validate_string(document.text, this.show_warnings);
+
+        // The syntax error has the position, the generic invalid JSON error doesn't add anything
+        if ( errors.some(error => error.code == "json-syntax") )
+            errors = errors.filter(error => error.code == "json-syntax");
+        else
+            this._parse(document);
+
+        return errors.map(error => {
+            let start = error.offset ?? 0;
+            let end = error.end_offset ?? Math.min(start + 1, document.text.length);
+            let diagnostic = {
+                range: this._range(source_map, start, end),
+                severity: error.type == "warning" ? lsp.severity_warning : lsp.severity_error,
+                code: error.code,
+                source: "lottie-specs",
+                message: error.message,
+                data: {path: error.path, params: error.params},
+            };
+            if ( error.docs )
+                diagnostic.codeDescription = {href: error.docs};
+            return diagnostic;
+        });
+    }
+
+    /**
+     * \brief Shows the documentation for the property or value at \p position
+     * \returns LSP hover object or \b null
+     */
+    hover(document, position)
+    {
+        let data = this._parse(document);
+        if ( data === undefined )
+            return null;
+
+        let source_map = new JsonSourceMap(document.text);
+        source_map.scan(null);
+        let offset = source_map.offset(position.line + 1, position.character + 1);
+        let path = source_map.path_at(offset);
+        if ( path === null )
+            return null;
+
+        let info = this.validator.describe(data, path);
+        if ( !info )
+            return null;
+
+        let range = source_map.ranges.get(path);
+        let on_key = range.key_end !== undefined && offset <= range.key_end;
+        let lines = [];
+
+        let heading = `**${info.title ?? info.label}**`;
+        if ( info.class )
+            heading += ` \`${info.class}\``;
+        lines.push(heading);
+
+        let value = value_at(data, path);
+        let option = info.enum?.find(option => option.value === value);
+        if ( option )
+            lines.push(`\`${JSON.stringify(value)}\`: ${option.title}` + (option.description ? ` - ${option.description}` : ""));
+
+        let details = description_markdown(info);
+        if ( details )
+            lines.push(details);
+
+        return {
+            contents: {kind: "markdown", value: lines.join("\n\n")},
+            range: on_key ? this._range(source_map, range.start, range.key_end) : this._range(source_map, range.value_start, range.value_end),
+        };
+    }
+
+    /**
+     * \brief Completes property names and values allowed by the schema at \p position
+     *
+     * Uses the last version of the document that could be parsed, as the text is
+     * usually incomplete while typing.
+     *
+     * \returns Array of LSP completion items
+     */
+    completion(document, position)
+    {
+        let data = this._parse(document);
+        if ( data === undefined )
+            data = document.data;
+        if ( data === null )
+            return [];
+
+        let source_map = new JsonSourceMap(document.text);
+        let offset = source_map.offset(position.line + 1, position.character + 1);
+        let context = completion_context(document.text, offset);
+        if ( !context )
+            return [];
+
+        let range = this._range(source_map, context.start, context.end);
+        let item = (label, kind, new_text, info, sort_prefix) => {
+            let result = {
+                label: label,
+                kind: kind,
+                detail: info.title ?? info.label,
+                textEdit: {range: range, newText: new_text},
+                filterText: new_text,
+                sortText: sort_prefix + label,
+            };
+            let documentation = description_markdown(info);
+            if ( documentation )
+                result.documentation = {kind: "markdown", value: documentation};
+            return result;
+        };
+
+        if ( context.in_key )
+        {
+            let properties = this.validator.list_properties(data, context.path, false) ?? [];
+            return properties
+                .filter(prop => !context.keys.includes(prop.name))
+                .map(prop => item(prop.name, lsp.completion_property, JSON.stringify(prop.name), prop, prop.required ? "0" : "1"));
+        }
+
+        // The data might be from before the current edit, so it can be missing the value being completed
+        let path = context.path + "/" + (context.array ? context.index : escape_json_pointer(context.key ?? ""));
+        let info = this.validator.describe(data, path, false);
+        if ( !info )
+            return [];
+
+        if ( info.enum )
+        {
+            return info.enum.map((option, index) => item(
+                JSON.stringify(option.value),
+                lsp.completion_enum_member,
+                JSON.stringify(option.value),
+                {...option, label: info.label},
+                String(index).padStart(4, "0")
+            ));
+        }
+
+        if ( info.const !== undefined )
+            return [item(JSON.stringify(info.const), lsp.completion_value, JSON.stringify(info.const), info, "0")];
+
+        if ( info.type == "boolean" )
+            return [true, false].map(value => item(String(value), lsp.completion_value, String(value), info, "0"));
+
+        return [];
+    }
+
+    /**
+     * \brief Quick fixes for the given diagnostics
+     * \returns Array of LSP code actions
+     */
+    code_actions(document, diagnostics)
+    {
+        let actions = [];
+        let sorted_arrays = new Set();
+
+        for ( let diagnostic of diagnostics )
+        {
+            if ( diagnostic.source != "lottie-specs" || typeof diagnostic.data?.path != "string" )
+                continue;
+
+            let path = diagnostic.data.path;
+            if ( diagnostic.code == "unknown-property" )
+            {
+                actions.push(...this._unknown_property_fixes(document, diagnostic, path));
+            }
+            else if ( diagnostic.code == "keyframe-order" && !sorted_arrays.has(parent_path(path)) )
+            {
+                sorted_arrays.add(parent_path(path));
+                let action = this._keyframe_order_fix(document, diagnostic, parent_path(path));
+                if ( action )
+                    actions.push(action);
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * \returns Code actions to rename or remove an unknown property
+     */
+    _unknown_property_fixes(document, diagnostic, path)
+    {
+        let text = document.text;
+        let source_map = new JsonSourceMap(text);
+        try {
+            source_map.scan(new Set([path]));
+        } catch(e) {
+            return [];
+        }
+
+        let range = source_map.ranges.get(path);
+        if ( range?.key_end === undefined )
+            return [];
+
+        let actions = [];
+        let property = resolve_json_pointer(this._parse(document), path)[1];
+        let suggestion = diagnostic.data.params?.suggestion;
+        if ( typeof suggestion == "string" )
+        {
+            actions.push(this._action(document, `Rename '${property}' to '${suggestion}'`, diagnostic, [{
+                range: this._range(source_map, range.start, range.key_end),
+                newText: JSON.stringify(suggestion),
+            }], true));
+        }
+
+        // Remove the separating comma as well, after the value or before the property if it's the last one
+        let start = range.start;
+        let end = range.value_end;
+        let after = end;
+        while ( /\s/.test(text[after] ?? "") )
+            after++;
+        if ( text[after] == "," )
+        {
+            end = after + 1;
+            while ( /\s/.test(text[end] ?? "") )
+                end++;
+        }
+        else
+        {
+            let before = start - 1;
+            while ( before >= 0 && /\s/.test(text[before]) )
+                before--;
+            if ( text[before] == "," )
+                start = before;
+        }
+
+        actions.push(this._action(document, `Remove unknown property '${property}'`, diagnostic, [{
+            range: this._range(source_map, start, end),
+            newText: "",
+        }], actions.length == 0));
+
+        return actions;
+    }
+
+    /**
+     * \returns Code action sorting the keyframes at \p path by time, keeping their formatting, or \b null
+     */
+    _keyframe_order_fix(document, diagnostic, path)
+    {
+        let keyframes = value_at(this._parse(document), path);
+        if ( !Array.isArray(keyframes) || !keyframes.every(kf => typeof kf == "object" && kf !== null && typeof kf.t == "number") )
+            return null;
+
+        let source_map = new JsonSourceMap(document.text);
+        source_map.scan(new Set(keyframes.map((kf, index) => `${path}/${index}`)));
+        let ranges = keyframes.map((kf, index) => source_map.ranges.get(`${path}/${index}`));
+
+        // Array.prototype.sort is stable so keyframes with the same time keep their order
+        let order = keyframes.map((kf, index) => index).sort((a, b) => keyframes[a].t - keyframes[b].t);
+        let slice = range => document.text.substring(range.value_start, range.value_end);
+        let new_text = order.map((index, position) => {
+            let separator = position + 1 < ranges.length ? document.text.substring(ranges[position].value_end, ranges[position + 1].value_start) : "";
+            return slice(ranges[index]) + separator;
+        }).join("");
+
+        let start = ranges[0].value_start;
+        let end = ranges[ranges.length - 1].value_end;
+        return this._action(document, "Sort keyframes by time", diagnostic, [{
+            range: this._range(source_map, start, end),
+            newText: new_text,
+        }], true);
+    }
+
+    /**
+     * \returns An LSP quick fix code action applying \p edits to \p document
+     */
+    _action(document, title, diagnostic, edits, preferred)
+    {
+        return {
+            title: title,
+            kind: "quickfix",
+            diagnostics: [diagnostic],
+            isPreferred: preferred,
+            edit: {changes: {[document.uri]: edits}},
+        };
+    }
+
+    /**
+     * \brief Parses the current text of \p document, keeping the result for completion
+     * \returns The parsed data or \b undefined if the text isn't valid JSON
+     */
+    _parse(document)
+    {
+        if ( document.parsed_text === document.text )
+            return document.data;
+
+        try {
+            document.data = JSON.parse(document.text);
+            document.parsed_text = document.text;
+            return document.data;
+        } catch(e) {
+            return undefined;
+        }
+    }
+
+    /**
+     * \returns An LSP range between two offsets
+     */
+    _range(source_map, start, end)
+    {
+        let lsp_position = offset => {
+            let position = source_map.position(offset);
+            return {line: position.line - 1, character: position.column - 1};
+        };
+        return {start: lsp_position(start), end: lsp_position(end)};
+    }
+}
+
+// Node module exports
+if ( typeof module !== "undefined" )
+{
+    module.exports = {LottieLanguageServer, completion_context};
+}
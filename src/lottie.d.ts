@@ -0,0 +1,1354 @@
+// Generated by scripts/build-types.js from lottie.schema.json, do not edit
+
+// Assets
+/**
+ * Precomposition
+ *
+ * Asset containing a composition that can be referenced by layers.
+ */
+export type Precomposition = Asset & Composition;
+
+/**
+ * Image
+ *
+ * Asset containing an image that can be referenced by layers.
+ */
+export type Image = Asset & SlottableObject & {
+    /**
+     * Width
+     *
+     * Width of the image
+     */
+    w?: number;
+    /**
+     * Height
+     *
+     * Height of the image
+     */
+    h?: number;
+    /**
+     * File Name
+     *
+     * Name of the image file or a data url
+     */
+    p?: string;
+    /**
+     * File Path
+     *
+     * Path to the image file
+     */
+    u?: string;
+    /**
+     * Embedded
+     *
+     * If '1', 'p' is a Data URL
+     */
+    e?: IntBoolean;
+};
+
+export type AllAssets = Precomposition | Image;
+
+/** Asset */
+export type Asset = VisualObject & {
+    /**
+     * ID
+     *
+     * Unique identifier used by layers when referencing this asset
+     */
+    id: string;
+};
+
+// Composition
+/**
+ * Composition
+ *
+ * An object that contains a list of layers
+ */
+export type Composition = {
+    /** Layers */
+    layers: AllLayers[];
+};
+
+/**
+ * Animation
+ *
+ * Top level object, describing the animation
+ */
+export type Animation = VisualObject & {
+    /**
+     * Specification Version
+     *
+     * Specification version this Lottie is targeting. This is a 6 digit number with version components encoded as `MMmmpp`, with `MM` being major version, `mm` being minor and `pp` being patch.
+     */
+    ver?: number;
+    /**
+     * Framerate
+     *
+     * Framerate in frames per second
+     */
+    fr: number;
+    /**
+     * In Point
+     *
+     * Frame the animation starts at (usually 0)
+     */
+    ip: number;
+    /**
+     * Out Point
+     *
+     * Frame the animation stops/loops at, which makes this the duration in frames when `ip` is 0
+     */
+    op: number;
+    /**
+     * Width
+     *
+     * Width of the animation
+     */
+    w: number;
+    /**
+     * Height
+     *
+     * Height of the animation
+     */
+    h: number;
+    /**
+     * Assets
+     *
+     * List of assets that can be referenced by layers
+     */
+    assets?: AllAssets[];
+    /**
+     * Markers
+     *
+     * Markers defining named sections of the composition.
+     */
+    markers?: Marker[];
+    /**
+     * Slots
+     *
+     * Dictionary of slot ids that will replace matching properties.
+     */
+    slots?: {[key: string]: Slot};
+} & Composition;
+
+// Constants
+/**
+ * Stroke Dash Type
+ *
+ * Type of a dash item in a stroked line
+ */
+export type StrokeDashType = "d" | "g" | "o";
+
+/**
+ * Gradient Type
+ *
+ * Whether a Gradient is a linear or radial.
+ */
+export type GradientType = 1 | 2;
+
+/**
+ * Trim Multiple Shapes
+ *
+ * How to handle multiple shapes in trim path
+ */
+export type TrimMultipleShapes = 1 | 2;
+
+/**
+ * Line Cap
+ *
+ * Style at the end of a stoked line
+ */
+export type LineCap = 1 | 2 | 3;
+
+/**
+ * Star Type
+ *
+ * Whether a PolyStar is a star or a polygon
+ */
+export type StarType = 1 | 2;
+
+/**
+ * Matte Mode
+ *
+ * How a layer should mask another layer
+ */
+export type MatteMode = 0 | 1 | 2 | 3 | 4;
+
+/**
+ * Shape Direction
+ *
+ * Drawing direction of the shape curve, useful for trim path
+ */
+export type ShapeDirection = 1 | 3;
+
+/**
+ * Line Join
+ *
+ * Style at a sharp corner of a stoked line
+ */
+export type LineJoin = 1 | 2 | 3;
+
+/**
+ * Mask Mode
+ *
+ * Describes how a mask interacts (blends) with the preceding masks in the stack.
+ */
+export type MaskMode = "n" | "a" | "s" | "i";
+
+/**
+ * Fill Rule
+ *
+ * Rule used to handle multiple shapes rendered with the same fill object
+ */
+export type FillRule = 1 | 2;
+
+// Helpers
+/**
+ * Slottable Object
+ *
+ * Object that may have its value replaced with a slot value
+ */
+export type SlottableObject = {
+    /**
+     * Slot Id
+     *
+     * Identifier to look up the slot
+     */
+    sid?: string;
+};
+
+/**
+ * Transform
+ *
+ * Layer transform
+ */
+export type Transform = {
+    /**
+     * Anchor Point
+     *
+     * Anchor point: a position (relative to its parent) around which transformations are applied (ie: center for rotation / scale)
+     */
+    a?: PositionProperty;
+    /**
+     * Position
+     *
+     * Position / Translation
+     */
+    p?: SplittablePositionProperty;
+    /**
+     * Rotation
+     *
+     * Rotation in degrees, clockwise
+     */
+    r?: ScalarProperty;
+    /**
+     * Scale
+     *
+     * Scale factor, `[100, 100]` for no scaling
+     */
+    s?: VectorProperty;
+    /** Opacity */
+    o?: ScalarProperty;
+    /**
+     * Skew
+     *
+     * Skew amount as an angle in degrees
+     */
+    sk?: ScalarProperty;
+    /**
+     * Skew Axis
+     *
+     * Direction along which skew is applied, in degrees (`0` skews along the X axis, `90` along the Y axis)
+     */
+    sa?: ScalarProperty;
+};
+
+/** Visual Object */
+export type VisualObject = {
+    /**
+     * Name
+     *
+     * Human readable name, as seen from editors and the like
+     */
+    nm?: string;
+};
+
+/**
+ * Mask
+ *
+ * Mask for layer content.
+ */
+export type Mask = {
+    /**
+     * Mode
+     * @default "i"
+     */
+    mode?: MaskMode;
+    /**
+     * Opacity
+     *
+     * Mask opacity, as a percentage [0..100].
+     * @default 100
+     */
+    o?: ScalarProperty;
+    /**
+     * Shape
+     *
+     * Mask shape
+     */
+    pt: BezierProperty;
+};
+
+/**
+ * Slot
+ *
+ * Defines a property value that will be set to all matched properties
+ */
+export type Slot = {
+    /** Property Value */
+    p: any;
+};
+
+/**
+ * Marker
+ *
+ * Defines named portions of the composition.
+ */
+export type Marker = {
+    /** Comment */
+    cm?: string;
+    /** Time */
+    tm?: number;
+    /** Duration */
+    dr?: number;
+};
+
+/**
+ * Slottable Property
+ *
+ * Property that may have its value replaced with a slot value
+ */
+export type SlottableProperty = SlottableObject;
+
+// Layers
+/**
+ * Precomposition Layer
+ *
+ * Layer that renders a Precomposition asset
+ */
+export type PrecompositionLayer = VisualLayer & {
+    /**
+     * Type
+     *
+     * Layer type
+     */
+    ty: 0;
+    /**
+     * Reference Id
+     *
+     * ID of the precomp as specified in the assets
+     */
+    refId: string;
+    /**
+     * Width
+     *
+     * Width of the clipping rect
+     */
+    w?: number;
+    /**
+     * Height
+     *
+     * Height of the clipping rect
+     */
+    h?: number;
+    /**
+     * Time Stretch
+     * @default 1
+     */
+    sr?: number;
+    /**
+     * Start Time
+     * @default 0
+     */
+    st?: number;
+    /**
+     * Time Remap
+     *
+     * Timeline remap function (frame index -> time in seconds)
+     */
+    tm?: ScalarProperty;
+};
+
+/**
+ * Solid Layer
+ *
+ * Solid color, rectangle-shaped layer
+ */
+export type SolidLayer = VisualLayer & {
+    /**
+     * Type
+     *
+     * Layer type
+     */
+    ty: 1;
+    /**
+     * Width
+     *
+     * Solid rectangle width
+     */
+    sw: number;
+    /**
+     * Height
+     *
+     * Solid rectangle height
+     */
+    sh: number;
+    /**
+     * Color
+     *
+     * Solid fill color
+     */
+    sc: Hexcolor;
+};
+
+/**
+ * Visual Layer
+ *
+ * Layer used to affect visual elements
+ */
+export type VisualLayer = Layer & {
+    /**
+     * Transform
+     *
+     * Layer transform
+     */
+    ks: Transform;
+    /**
+     * Auto Orient
+     *
+     * If 1, the layer will rotate itself to match its animated position path
+     * @default 0
+     */
+    ao?: IntBoolean;
+    /**
+     * Matte Mode
+     *
+     * Defines the track matte mode for the layer
+     */
+    tt?: MatteMode;
+    /**
+     * Matte Parent
+     *
+     * Index of the layer used as matte, if omitted assume the layer above the current one
+     */
+    tp?: number;
+    /**
+     * Masks
+     *
+     * Optional array of masks for the layer.
+     */
+    masksProperties?: Mask[];
+};
+
+/**
+ * Null Layer
+ *
+ * Layer with no data, useful to group layers together
+ */
+export type NullLayer = VisualLayer & {
+    /**
+     * Type
+     *
+     * Layer type
+     */
+    ty: 3;
+};
+
+/**
+ * Image Layer
+ *
+ * Layer containing an image
+ */
+export type ImageLayer = VisualLayer & {
+    /**
+     * Type
+     *
+     * Layer type
+     */
+    ty: 2;
+    /**
+     * Reference Id
+     *
+     * ID of the image as specified in the assets
+     */
+    refId: string;
+};
+
+/**
+ * Layer
+ *
+ * Common properties for all layers
+ */
+export type Layer = VisualObject & {
+    /**
+     * Hidden
+     *
+     * Whether the layer is hidden
+     */
+    hd?: boolean;
+    /**
+     * Type
+     *
+     * Layer Type
+     */
+    ty: number;
+    /**
+     * Index
+     *
+     * Index that can be used for parenting and referenced in expressions
+     */
+    ind?: number;
+    /**
+     * Parent Index
+     *
+     * Must be the `ind` property of another layer
+     */
+    parent?: number;
+    /**
+     * In Point
+     *
+     * Frame when the layer becomes visible
+     */
+    ip: number;
+    /**
+     * Out Point
+     *
+     * Frame when the layer becomes invisible
+     */
+    op: number;
+};
+
+export type AllLayers = PrecompositionLayer | ImageLayer | NullLayer | SolidLayer | ShapeLayer;
+
+/**
+ * Unknown layer types
+ *
+ * Unknown layer types. Types not defined by the specification are still allowed.
+ */
+export type UnknownLayer = {
+    ty?: any;
+};
+
+/**
+ * Shape Layer
+ *
+ * Layer containing Shapes
+ */
+export type ShapeLayer = VisualLayer & {
+    /**
+     * Type
+     *
+     * Layer type
+     */
+    ty: 4;
+    /** Shapes */
+    shapes: AllGraphicElements[];
+};
+
+// Properties
+/**
+ * Scalar Property
+ *
+ * An animatable property that holds a float
+ */
+export type ScalarProperty = SlottableProperty & ({
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a?: 0;
+    /**
+     * Value
+     *
+     * Static Value
+     */
+    k?: number;
+} | {
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a?: 1;
+    /**
+     * Keyframes
+     *
+     * Array of keyframes
+     */
+    k?: VectorKeyframe[];
+});
+
+/**
+ * Vector Property
+ *
+ * An animatable property that holds an array of numbers
+ */
+export type VectorProperty = SlottableProperty & ({
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a?: 0;
+    /**
+     * Value
+     *
+     * Static Value
+     */
+    k?: Vector;
+} | {
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a?: 1;
+    /**
+     * Keyframes
+     *
+     * Array of keyframes
+     */
+    k?: VectorKeyframe[];
+});
+
+/**
+ * Base Keyframe
+ *
+ * A Keyframes specifies the value at a specific time and the interpolation function to reach the next keyframe.
+ */
+export type BaseKeyframe = {
+    /**
+     * Time
+     *
+     * Frame number
+     * @default 0
+     */
+    t: number;
+    /**
+     * Hold
+     * @default 0
+     */
+    h?: IntBoolean;
+    /**
+     * In Tangent
+     *
+     * Easing tangent going into the next keyframe
+     */
+    i?: EasingHandle;
+    /**
+     * Out Tangent
+     *
+     * Easing tangent leaving the current keyframe
+     */
+    o?: EasingHandle;
+};
+
+/**
+ * Split Position
+ *
+ * An animatable position where x and y are definied and animated separately.
+ */
+export type SplitPosition = {
+    /**
+     * Split
+     *
+     * Whether the position has split values
+     */
+    s: true;
+    /** X Position */
+    x: ScalarProperty;
+    /** Y Position */
+    y: ScalarProperty;
+};
+
+/**
+ * Gradient Property
+ *
+ * An animatable property that holds a Gradient
+ */
+export type GradientProperty = {
+    /** Color stop count */
+    p?: number;
+    /**
+     * Gradient stops
+     *
+     * Animatable vector representing the gradient stops
+     */
+    k?: ({
+        /**
+         * Animated
+         *
+         * Whether the property is animated
+         */
+        a: 0;
+        /**
+         * Value
+         *
+         * Static Value
+         */
+        k: Gradient;
+    } | {
+        /**
+         * Animated
+         *
+         * Whether the property is animated
+         */
+        a: 1;
+        /**
+         * Keyframes
+         *
+         * Array of keyframes
+         */
+        k: GradientKeyframe[];
+    });
+};
+
+/**
+ * Bezier Property
+ *
+ * An animatable property that holds a Bezier shape
+ */
+export type BezierProperty = ({
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a: 0;
+    /**
+     * Value
+     *
+     * Static Value
+     */
+    k: Bezier;
+} | {
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a: 1;
+    /**
+     * Keyframes
+     *
+     * Array of keyframes
+     */
+    k: BezierKeyframe[];
+});
+
+/**
+ * Position Property
+ *
+ * An animatable property to represent a position in space
+ */
+export type PositionProperty = SlottableProperty & ({
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a: 0;
+    /**
+     * Value
+     *
+     * Static Value
+     */
+    k: Vector;
+} | {
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a: 1;
+    /**
+     * Keyframes
+     *
+     * Array of keyframes
+     */
+    k: PositionKeyframe[];
+});
+
+/** Gradient Keyframe */
+export type GradientKeyframe = BaseKeyframe & {
+    /**
+     * Value
+     *
+     * Value at this keyframe.
+     */
+    s: Gradient;
+};
+
+/**
+ * Keyframe Easing
+ *
+ * Bezier handle for keyframe interpolation
+ */
+export type EasingHandle = {
+    /**
+     * X
+     *
+     * Time component:
+     * 0 means start time of the keyframe,
+     * 1 means time of the next keyframe.
+     */
+    x: (Vector | number);
+    /**
+     * Y
+     *
+     * Value interpolation component:
+     * 0 means start value of the keyframe,
+     * 1 means value at the next keyframe.
+     */
+    y: (Vector | number);
+};
+
+/**
+ * Color Property
+ *
+ * An animatable property that holds a Color
+ */
+export type ColorProperty = SlottableProperty & ({
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a?: 0;
+    /**
+     * Value
+     *
+     * Static Value
+     */
+    k?: Color;
+} | {
+    /**
+     * Animated
+     *
+     * Whether the property is animated
+     */
+    a?: 1;
+    /**
+     * Keyframes
+     *
+     * Array of keyframes
+     */
+    k?: ColorKeyframe[];
+});
+
+/** Color Keyframe */
+export type ColorKeyframe = BaseKeyframe & {
+    /**
+     * Value
+     *
+     * Value at this keyframe.
+     */
+    s: Color;
+};
+
+/** Position Keyframe */
+export type PositionKeyframe = VectorKeyframe & {
+    /**
+     * Value In Tangent
+     *
+     * Tangent for values (eg: moving position around a curved path)
+     */
+    ti?: Vector;
+    /**
+     * Value Out Tangent
+     *
+     * Tangent for values (eg: moving position around a curved path)
+     */
+    to?: Vector;
+};
+
+/**
+ * Splittable Position Property
+ *
+ * An animatable position where position values may be defined and animated separately.
+ */
+export type SplittablePositionProperty = (PositionProperty & {
+    /**
+     * Split
+     *
+     * Whether the position has split values
+     */
+    s?: false;
+} | SplitPosition);
+
+/** Shape Keyframe */
+export type BezierKeyframe = BaseKeyframe & {
+    /**
+     * Value
+     *
+     * Value at this keyframe.
+     */
+    s: Bezier[];
+};
+
+/** Vector Keyframe */
+export type VectorKeyframe = BaseKeyframe & {
+    /**
+     * Value
+     *
+     * Value at this keyframe.
+     */
+    s: Vector;
+};
+
+// Shapes
+/**
+ * Graphic Element
+ *
+ * Element used to display vector data in a shape layer
+ */
+export type GraphicElement = VisualObject & {
+    /**
+     * Hidden
+     *
+     * Whether the shape is hidden
+     */
+    hd?: boolean;
+    /** Shape Type */
+    ty: string;
+};
+
+/**
+ * Fill
+ *
+ * Solid fill color
+ */
+export type Fill = ShapeStyle & {
+    /** Shape Type */
+    ty: "fl";
+    /** Color */
+    c: ColorProperty;
+    /** Fill Rule */
+    r?: FillRule;
+};
+
+/**
+ * PolyStar
+ *
+ * Star or regular polygon
+ */
+export type Polystar = Shape & {
+    /** Shape Type */
+    ty: "sr";
+    /** Position */
+    p: PositionProperty;
+    /** Outer Radius */
+    or: ScalarProperty;
+    /**
+     * Outer Roundness
+     *
+     * Outer Roundness as a percentage
+     */
+    os: ScalarProperty;
+    /**
+     * Rotation
+     *
+     * Rotation, clockwise in degrees
+     */
+    r: ScalarProperty;
+    /** Points */
+    pt: ScalarProperty;
+    /**
+     * Star Type
+     * @default 1
+     */
+    sy?: StarType;
+    /** Inner Radius */
+    ir?: ScalarProperty;
+    /**
+     * Inner Roundness
+     *
+     * Inner Roundness as a percentage
+     */
+    is?: ScalarProperty;
+};
+
+/**
+ * Trim Path
+ *
+ * Trims shapes into a segment
+ */
+export type TrimPath = Modifier & {
+    /** Shape Type */
+    ty: "tm";
+    /**
+     * Start
+     *
+     * Segment start
+     */
+    s: ScalarProperty;
+    /**
+     * End
+     *
+     * Segment end
+     */
+    e: ScalarProperty;
+    /** Offset */
+    o: ScalarProperty;
+    /**
+     * Multiple
+     *
+     * How to treat multiple copies
+     */
+    m?: TrimMultipleShapes;
+};
+
+/**
+ * Stroke
+ *
+ * Solid stroke
+ */
+export type Stroke = ShapeStyle & BaseStroke & {
+    /** Shape Type */
+    ty: "st";
+    /**
+     * Color
+     *
+     * Stroke color
+     */
+    c: ColorProperty;
+};
+
+/**
+ * Stroke Dash
+ *
+ * An item used to described the dash pattern in a stroked path
+ */
+export type StrokeDash = VisualObject & {
+    /**
+     * Dash Type
+     * @default "d"
+     */
+    n?: StrokeDashType;
+    /**
+     * Length
+     *
+     * Length of the dash
+     */
+    v?: ScalarProperty;
+};
+
+/**
+ * Gradient Stroke
+ *
+ * Gradient stroke
+ */
+export type GradientStroke = ShapeStyle & BaseStroke & BaseGradient & {
+    /** Shape Type */
+    ty: "gs";
+};
+
+/**
+ * Base Gradient
+ *
+ * Common properties for gradients
+ */
+export type BaseGradient = {
+    /**
+     * Colors
+     *
+     * Gradient colors
+     */
+    g: GradientProperty;
+    /**
+     * Start Point
+     *
+     * Starting point for the gradient
+     */
+    s: PositionProperty;
+    /**
+     * End Point
+     *
+     * End point for the gradient
+     */
+    e: PositionProperty;
+    /**
+     * Gradient Type
+     *
+     * Type of the gradient
+     */
+    t: GradientType;
+    /**
+     * Highlight Length
+     *
+     * Highlight Length, as a percentage between `s` and `e`
+     */
+    h?: ScalarProperty;
+    /**
+     * Highlight Angle
+     *
+     * Highlight Angle in clockwise degrees, relative to the direction from `s` to `e`
+     */
+    a?: ScalarProperty;
+};
+
+/**
+ * Shape
+ *
+ * Drawable shape, defines the actual shape but not the style
+ */
+export type Shape = GraphicElement & {
+    /**
+     * Direction
+     *
+     * Direction the shape is drawn as, mostly relevant when using trim path
+     */
+    d?: ShapeDirection;
+};
+
+/**
+ * Transform Shape
+ *
+ * Group transform
+ */
+export type ShapeTransform = GraphicElement & Transform & {
+    /** Shape Type */
+    ty: "tr";
+};
+
+/**
+ * Group
+ *
+ * Shape Element that can contain other shapes
+ */
+export type Group = GraphicElement & {
+    /** Shape Type */
+    ty: "gr";
+    /** Number Of Properties */
+    np?: number;
+    /** Shapes */
+    it?: AllGraphicElements[];
+};
+
+/**
+ * Base Stroke
+ *
+ * Common properties for stroke styles
+ */
+export type BaseStroke = {
+    /**
+     * Line Cap
+     * @default 2
+     */
+    lc?: LineCap;
+    /**
+     * Line Join
+     * @default 2
+     */
+    lj?: LineJoin;
+    /**
+     * Miter Limit
+     * @default 0
+     */
+    ml?: number;
+    /**
+     * Miter Limit
+     *
+     * Animatable alternative to ml
+     */
+    ml2?: ScalarProperty;
+    /**
+     * Width
+     *
+     * Stroke width
+     */
+    w: ScalarProperty;
+    /**
+     * Dashes
+     *
+     * Dashed line definition
+     */
+    d?: StrokeDash[];
+};
+
+/**
+ * Modifier
+ *
+ * Modifiers change the bezier curves of neighbouring shapes
+ */
+export type Modifier = GraphicElement;
+
+/**
+ * Ellipse
+ *
+ * Ellipse shape
+ */
+export type Ellipse = Shape & {
+    /** Shape Type */
+    ty: "el";
+    /** Position */
+    p: PositionProperty;
+    /** Size */
+    s: VectorProperty;
+};
+
+/**
+ * Path
+ *
+ * Custom Bezier shape
+ */
+export type Path = Shape & {
+    /** Shape Type */
+    ty: "sh";
+    /**
+     * Shape
+     *
+     * Bezier path
+     */
+    ks: BezierProperty;
+};
+
+/**
+ * Unknown shape types
+ *
+ * Unknown shape types. Types not defined by the specification are still allowed.
+ */
+export type UnknownShape = {
+    ty?: any;
+};
+
+/**
+ * Gradient
+ *
+ * Gradient fill color
+ */
+export type GradientFill = ShapeStyle & BaseGradient & {
+    /** Shape Type */
+    ty: "gf";
+    /** Fill Rule */
+    r?: FillRule;
+};
+
+/**
+ * Shape Style
+ *
+ * Describes the visual appearance (like fill and stroke) of neighbouring shapes
+ */
+export type ShapeStyle = GraphicElement & {
+    /**
+     * Opacity
+     *
+     * Opacity, 100 means fully opaque
+     */
+    o: ScalarProperty;
+};
+
+/**
+ * Rectangle
+ *
+ * A simple rectangle shape
+ */
+export type Rectangle = Shape & {
+    /** Shape Type */
+    ty: "rc";
+    /**
+     * Position
+     *
+     * Center of the rectangle
+     */
+    p: PositionProperty;
+    /** Size */
+    s: VectorProperty;
+    /**
+     * Rounded
+     *
+     * Rounded corners radius
+     */
+    r?: ScalarProperty;
+};
+
+export type AllGraphicElements = Ellipse | Fill | GradientFill | GradientStroke | Group | Path | Polystar | Rectangle | Stroke | ShapeTransform | TrimPath;
+
+// Values
+/**
+ * Data URL
+ *
+ * An embedded data object
+ */
+export type DataUrl = string;
+
+/**
+ * Integer Boolean
+ *
+ * Represents boolean values as an integer. `0` is false, `1` is true.
+ * @default 0
+ */
+export type IntBoolean = 0 | 1;
+
+/**
+ * Color
+ *
+ * Color as a [r, g, b] array with values in [0, 1]
+ */
+export type Color = number[];
+
+/**
+ * Gradient
+ *
+ * A flat list of color stops followed by optional transparency stops. A color stop is [offset, red, green, blue]. A transparency stop is [offset, transparency]. All values are between 0 and 1
+ */
+export type Gradient = number[];
+
+/**
+ * Vector
+ *
+ * An array of numbers
+ */
+export type Vector = number[];
+
+/**
+ * Hex Color
+ *
+ * Color value in hexadecimal format, with two digits per component ('#RRGGBB')
+ */
+export type Hexcolor = string;
+
+/**
+ * Bezier
+ *
+ * Cubic polybezier
+ */
+export type Bezier = {
+    /**
+     * Closed
+     * @default false
+     */
+    c?: boolean;
+    /**
+     * In Tangents
+     *
+     * Array of points, each point is an array of coordinates.
+     * These points are along the `in` tangents relative to the corresponding `v`.
+     */
+    i: Vector[];
+    /**
+     * Out Tangents
+     *
+     * Array of points, each point is an array of coordinates.
+     * These points are along the `out` tangents relative to the corresponding `v`.
+     */
+    o: Vector[];
+    /**
+     * Vertices
+     *
+     * Array of points, each point is an array of coordinates.
+     * These points are along the bezier path
+     */
+    v: Vector[];
+};
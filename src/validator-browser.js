@@ -0,0 +1,49 @@
+/**
+ * \brief Entry point of the self-contained browser bundle, which includes Ajv and the schema
+ *
+ * See scripts/build-bundle.js
+ */
+const {Ajv2020} = require("ajv/dist/2020");
+const {LottieValidator, get_schema_url, schema_file_name, schema_versions, detect_spec_version} = require("./validator.js");
+const schema_json = require("./data/lottie.schema.json");
+
+/**
+ * \returns A copy of the bundled schema
+ */
+function get_schema()
+{
+    return JSON.parse(JSON.stringify(schema_json));
+}
+
+/**
+ * \returns A LottieValidator using the bundled schema
+ * \param config Validator configuration
+ */
+function create_validator(config={})
+{
+    // The validator patches the schema it's given, so each one needs its own copy
+    return new LottieValidator(Ajv2020, get_schema(), config);
+}
+
+let default_validator = null;
+
+/**
+ * \brief Validates an object or JSON string
+ *
+ * The validator is created on the first call, as compiling the schema takes a noticeable time.
+ *
+ * \param data Object or JSON string to validate
+ * \param show_warnings If \b true, warnings will be returned, otherwise just errors
+ * \returns Array of errors
+ */
+function validate(data, show_warnings=true)
+{
+    if ( !default_validator )
+        default_validator = create_validator();
+    return default_validator.validate(data, show_warnings);
+}
+
+module.exports = {
+    validate, create_validator, get_schema, Ajv2020,
+    LottieValidator, get_schema_url, schema_file_name, schema_versions, detect_spec_version
+};
@@ -0,0 +1,8 @@
+import type {LottieValidator, LottieValidatorConfig, LottieValidatorError} from "./validator";
+
+export {LottieValidator, get_schema_url, schema_file_name, schema_versions, detect_spec_version} from "./validator";
+
+export const Ajv2020: any;
+export function validate(data: Object | string, show_warnings?: boolean): LottieValidatorError[];
+export function create_validator(config?: LottieValidatorConfig): LottieValidator;
+export function get_schema(): Object;
@@ -0,0 +1,71 @@
+import type {LottieValidator, LottieValidatorError, LottieValidatorChange, LottieValidatorConfig, LottieStats} from "./validator";
+
+export * from "./validator";
+
+export type LottieFormat = 'text' | 'sarif' | 'junit' | 'github';
+
+export type LottieFileResult = {
+    file: string,
+    entry?: string | null,
+    animation?: string | null,
+    errors: LottieValidatorError[],
+    changes?: LottieValidatorChange[],
+}
+
+export type LottieDotLottieResult = {
+    file: string | null,
+    animation: string | null,
+    errors: LottieValidatorError[],
+}
+
+export type LottieFileStats = {
+    file: string,
+    stats?: LottieStats,
+    errors?: LottieValidatorError[],
+}
+
+export type LottieValidateFileOptions = {
+    show_warnings?: boolean,
+    fix?: boolean,
+    strip_unused?: boolean,
+    output?: string,
+    in_place?: boolean,
+}
+
+export type LottieBatchOptions = {
+    jobs?: number,
+    workers?: {schema: Object | Object[], config?: LottieValidatorConfig},
+}
+
+export function get_schema_path(version?: string | null): string;
+
+export function validate_dotlottie(validator: LottieValidator, buffer: Uint8Array, show_warnings?: boolean): LottieDotLottieResult[];
+export function is_zip(buffer: Uint8Array): boolean;
+
+export const formats: LottieFormat[];
+export function format_results(format: LottieFormat, results: LottieFileResult[], options?: {color?: boolean}): string;
+export function format_stats(results: LottieFileStats[], options?: {color?: boolean}): string;
+
+export function find_files(patterns: string[]): string[];
+export function validate_file(validator: LottieValidator, file: string, options?: LottieValidateFileOptions): Promise<LottieFileResult[]>;
+export function validate_files(validator: LottieValidator, files: string[], options?: LottieValidateFileOptions & LottieBatchOptions): Promise<LottieFileResult[]>;
+export function file_stats(validator: LottieValidator, file: string): Promise<LottieFileStats>;
+export function files_stats(validator: LottieValidator, files: string[], options?: LottieBatchOptions): Promise<LottieFileStats[]>;
+
+export const config_file_name: string;
+export function find_config_file(dir?: string): string | null;
+export function load_config(file: string): LottieValidatorConfig;
+
+export type LottieLanguageServerOptions = {
+    show_warnings?: boolean,
+    delay?: number,
+}
+
+export class LottieLanguageServer {
+    constructor(validator: LottieValidator, options?: LottieLanguageServerOptions);
+    listen(
+        input: {on(event: string, listener: (...args: any[]) => void): any, removeListener(event: string, listener: (...args: any[]) => void): any},
+        output: {write(data: string | Uint8Array): any}
+    ): Promise<number>;
+    handle(message: {id?: number | string | null, method: string, params?: any}): object | null;
+}
@@ -1,4 +1,8 @@
-const {LottieValidator, schema_file_name, get_schema_url} = require("../src/validator.js");
+const {LottieValidator, schema_file_name, get_schema_url, schema_versions, detect_spec_version} = require("../src/validator.js");
+const {validate_dotlottie, is_zip} = require("../src/dotlottie.js");
+const {format_results, format_stats, formats} = require("../src/formatters.js");
+const {find_files, validate_file, validate_files, file_stats, files_stats} = require("../src/batch.js");
+const {LottieLanguageServer} = require("../src/language-server.js");
 
 /**
  * \returns File path to the schema
@@ -10,8 +14,66 @@ function get_schema_path(version=null)
     return path.resolve(__dirname, "data", schema_file_name(version));
 }
 
+/**
+ * \brief Name of the configuration file looked up by find_config_file
+ */
+const config_file_name = ".lottiespecsrc.json";
+
+/**
+ * \brief Finds the configuration file for the given directory
+ * \param dir Directory to start searching from, parent directories are searched as well
+ * \returns Path to the configuration file or \b null if there's none
+ * \pre Running on node
+ */
+function find_config_file(dir=process.cwd())
+{
+    const path = require("path");
+    const fs = require("fs");
+
+    dir = path.resolve(dir);
+    while ( true )
+    {
+        let file = path.join(dir, config_file_name);
+        if ( fs.existsSync(file) )
+            return file;
+
+        let parent = path.dirname(dir);
+        if ( parent == dir )
+            return null;
+        dir = parent;
+    }
+}
+
+/**
+ * \brief Loads a configuration file, to be passed to the LottieValidator constructor
+ * \param file Path to the configuration file
+ * \returns Configuration object
+ * \throws Error if the file can't be read or it isn't a JSON object
+ * \pre Running on node
+ */
+function load_config(file)
+{
+    const fs = require("fs");
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch(e) {
+        throw new Error(`Could not load ${file}: ${e.message}`);
+    }
+
+    if ( typeof config != "object" || config === null || Array.isArray(config) )
+        throw new Error(`Could not load ${file}: the configuration must be a JSON object`);
+
+    return config;
+}
+
 // Node module exports
 if ( typeof module !== "undefined" )
 {
-    module.exports = {LottieValidator, get_schema_url, get_schema_path};
+    module.exports = {
+        LottieValidator, get_schema_url, get_schema_path, schema_file_name, schema_versions, detect_spec_version,
+        validate_dotlottie, is_zip, format_results, format_stats, formats, find_files, validate_file, validate_files, file_stats, files_stats,
+        config_file_name, find_config_file, load_config, LottieLanguageServer
+    };
 }
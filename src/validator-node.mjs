@@ -0,0 +1,8 @@
+// ES module entry point, sharing the implementation with the CommonJS module
+import validator_node from "./validator-node.js";
+
+export const {
+    LottieValidator, get_schema_url, get_schema_path, schema_file_name, schema_versions, detect_spec_version,
+    validate_dotlottie, is_zip, format_results, format_stats, formats, find_files, validate_file, validate_files, file_stats, files_stats,
+    config_file_name, find_config_file, load_config, LottieLanguageServer
+} = validator_node;
@@ -0,0 +1,5 @@
+import type {LottieValidator, LottieValidatorConfig, LottieValidatorError} from "./validator";
+
+export function validate(data: Object | string, show_warnings?: boolean): LottieValidatorError[];
+export function create_validator(config?: LottieValidatorConfig): LottieValidator;
+export const validator: LottieValidator;
@@ -1,18 +1,231 @@
-export type LottieValidatorError = {
+import type {Animation} from "./lottie";
+
+// Parameters of the errors for each documented code
+export type LottieValidatorErrorParams = {
+    // Schema
+    'invalid-type': {type: string},
+    'missing-property': {property: string},
+    'pattern-mismatch': {pattern: string},
+    'invalid-format': {format: string},
+    'invalid-value': {allowedValue?: any, allowedValues?: any[]},
+    'out-of-range': {comparison: string, limit: number},
+    'invalid-length': {limit: number},
+    'multiple-matching-schemas': {passingSchemas: number[]},
+    'no-matching-alternative': {},
+    'schema-violation': {[name: string]: any},
+    'unknown-property': {property: string, suggestion?: string},
+    'unknown-type': {property: string, value: string | number, suggestion?: string | number},
+    'invalid-enum': {value: any, allowed: any[]},
+    // Keyframes
+    'keyframe-order': {t: number, previous_t: number},
+    'keyframe-duplicate-time': {t: number},
+    'keyframe-missing-easing': {property: string},
+    'easing-out-of-range': {property: string, value: number | number[]},
+    'easing-length-mismatch': {property: string, x_length: number, y_length: number},
+    // Value shapes
+    'keyframe-value-length': {length: number, expected: number},
+    'bezier-length-mismatch': {property: string, length: number, expected: number},
+    'gradient-length-mismatch': {length: number, color_stops: number},
+    // Timeline
+    'invalid-time-range': {ip: number, op: number},
+    'layer-outside-composition': {ip: number, op: number, composition_ip: number, composition_op: number},
+    'keyframe-outside-layer': {t: number, ip: number, op: number},
+    'marker-outside-animation': {property: 'tm' | 'dr', tm: number, dr: number, ip: number, op: number},
+    // Unused content
+    'unused-asset': {id: string},
+    'hidden-layer': {},
+    'transparent-layer': {},
+    'shape-after-transform': {},
+    // Embedded images
+    'invalid-data-url': {mime: string, encoding: string},
+    'unknown-image-format': {mime: string},
+    'image-mime-mismatch': {declared: string, detected: string},
+    'image-size-mismatch': {value: number, actual: number, width: number, height: number},
+    'image-too-large': {bytes: number, limit: number},
+    // References
+    'unknown-asset-ref': {value: string},
+    'asset-type-mismatch': {value: string, expected: string, actual: string},
+    'precomposition-loop': {ids: string[]},
+    'unknown-slot': {sid: string},
+    'invalid-slot-value': {sid: string},
+    'unused-slot': {sid: string},
+    // Layers
+    'duplicate-layer-index': {ind: number, other_path: string},
+    'unknown-parent': {parent: number},
+    'parent-loop': {indices: number[]},
+    'matte-without-mode': {tp: number},
+    'matte-self-reference': {tp: number},
+    'unknown-matte': {tp: number},
+    'missing-matte-layer': {},
+    'matte-not-marked': {matte_path: string},
+    // Documents and files
+    'invalid-json': {},
+    'json-syntax': {},
+    'unreadable-file': {},
+    'unsupported-fix': {},
+    'invalid-archive': {},
+    'invalid-archive-entry': {},
+    'missing-manifest': {},
+    'invalid-manifest': {property?: string},
+    'empty-manifest': {},
+    'invalid-animation-id': {},
+    'duplicate-animation-id': {id: string},
+    'missing-animation-file': {id: string, file: string},
+    'missing-archive-image': {file: string},
+}
+
+// Custom rules use their id unless they specify a code
+export type LottieValidatorErrorCode = keyof LottieValidatorErrorParams | (string & {});
+
+// LottieValidatorError<"parent-loop"> has the params for that code
+export type LottieValidatorError<Code extends LottieValidatorErrorCode = LottieValidatorErrorCode> = {
     type: 'error' | 'warning',
-    warning: 'type' | 'property',
+    warning?: 'type' | 'property',
+    code: Code,
+    params?: [Code] extends [keyof LottieValidatorErrorParams] ? LottieValidatorErrorParams[Code] : {[name: string]: any},
     path_names?: string[],
     message: string,
     path: string,
     name: string,
     docs: string,
+    line?: number,
+    column?: number,
+    offset?: number,
+    end_line?: number,
+    end_column?: number,
+    end_offset?: number,
+    rule?: string,
 }
 
+export type LottieSeverity = 'off' | 'warning' | 'error';
+
+export type LottieMessage = string | ((params: {[name: string]: any}) => string);
+
+export type LottieMessageCatalog = {[code: string]: LottieMessage};
+
 export type LottieValidatorConfig = {
     name_paths?: boolean;
     docs_url?: string;
+    spec_version?: string;
+    ajv_options?: Object;
+    rules?: Record<string, LottieSeverity>;
+    ignore_properties?: string[];
+    ignore_paths?: string[];
+    max_image_bytes?: number;
+    locale?: string;
+    messages?: LottieMessageCatalog;
+    names?: {[name: string]: string} | ((name: string) => string | undefined);
+}
+export type LottieValidatorChange = {
+    message: string,
+    path: string,
+}
+
+export type LottieValidatorFixResult = {
+    data: Object | null,
+    changes: LottieValidatorChange[],
+    errors: LottieValidatorError[],
 }
+
+export type LottieRuleObjectType = 'animation' | 'layer' | 'shape' | 'asset' | 'keyframe';
+
+export type LottieRuleResult = string | {
+    message: string,
+    code?: string,
+    params?: {[name: string]: any},
+    property?: string,
+    path?: string,
+    severity?: 'error' | 'warning',
+}
+
+export type LottieRuleVisitor = (obj: any, path: string, data: Object) => LottieRuleResult | LottieRuleResult[] | null | undefined | void;
+
+export type LottieRule = {
+    id: string,
+    severity?: 'error' | 'warning',
+    visit: Partial<Record<LottieRuleObjectType, LottieRuleVisitor>>,
+}
+
+export type LottieTypeCounts = {
+    total: number,
+    by_type: {[type: string]: number},
+}
+
+export type LottieStats = {
+    duration: number | null,
+    frames: number | null,
+    frame_rate: number,
+    width: number,
+    height: number,
+    bytes: number,
+    layers: LottieTypeCounts,
+    shapes: LottieTypeCounts,
+    masks: number,
+    mattes: number,
+    precomposition_depth: number,
+    properties: {animated: number, static: number},
+    keyframes: number,
+    assets: {images: number, precompositions: number, embedded_bytes: number},
+    largest: {path: string, type: string, name?: string, bytes: number}[],
+}
+
+export type LottieEnumOption = {
+    value: any,
+    title?: string,
+    description?: string,
+}
+
+export type LottieValueDescription = {
+    class: string | null,
+    bases: string[],
+    title?: string,
+    description?: string,
+    label: string,
+    docs?: string,
+    type?: string | string[],
+    value_type?: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null',
+    const?: any,
+    default?: any,
+    enum?: LottieEnumOption[],
+}
+
+export type LottiePropertyDescription = LottieValueDescription & {
+    name: string,
+    required: boolean,
+    present: boolean,
+}
+
+export type LottieDescription = LottieValueDescription & {
+    path: string,
+    properties?: LottiePropertyDescription[],
+}
+
 export class LottieValidator {
-    constructor(AjvClass: any, schema_json: Object, config?: LottieValidatorConfig);
-    validate(data: Object, show_warnings?:boolean): LottieValidatorError[];
+    static default_config: LottieValidatorConfig;
+    static rule_object_types: LottieRuleObjectType[];
+    static builtin_rules: string[];
+    static severities: LottieSeverity[];
+    static locales: {[locale: string]: LottieMessageCatalog};
+    constructor(AjvClass: any, schema_json: Object | Object[], config?: LottieValidatorConfig);
+    static from_compiled(schema_json: Object, validate: Function, config?: LottieValidatorConfig): LottieValidator;
+    schema: Object;
+    defs: {[category: string]: {[name: string]: Object}};
+    validate(data: Animation | Object | string, show_warnings?: boolean): LottieValidatorError[];
+    validate_object(data: Animation | Object, show_warnings?: boolean): LottieValidatorError[];
+    validate_string(string: string, show_warnings?: boolean): LottieValidatorError[];
+    fix(data: Animation | Object | string, show_warnings?: boolean): LottieValidatorFixResult;
+    validator_for(data: Animation | Object): LottieValidator;
+    add_rule(rule: LottieRule): void;
+    check_rules(): void;
+    stats(data: Animation | Object, largest?: number): LottieStats;
+    describe(data: Animation | Object, path?: string, strict?: boolean): LottieDescription | null;
+    list_properties(data: Animation | Object, path?: string, strict?: boolean): LottiePropertyDescription[] | null;
+    translate_name(name: string): string;
+    format_message(code: string, params: {[name: string]: any}, fallback?: string): string | undefined;
+    strip_unused(data: Animation | Object | string): {data: Animation | Object | null, changes: LottieValidatorChange[]};
 }
+
+export const schema_versions: string[];
+export function detect_spec_version(data: Animation | Object): string | null;
+export function schema_file_name(version?: string | null): string;
+export function get_schema_url(version?: string | null, url_prefix?: string): string;
@@ -1,3 +1,6 @@
+// Keeps the helpers private when loaded with a classic <script> tag, see the exports at the end
+(function() {
+
 /**
  * \returns the `ty` value for the given schema object
  */
@@ -111,7 +114,7 @@ class PropertyMap
         for ( let [name, prop_list] of this.map )
         {
             if ( prop_list.valid() && !this.all_references.has(name) )
-                prop_list.schema.warn_extra_props = this._get_all_props(prop_list);
+                prop_list.schema.warn_extra_props = Array.from(this._get_all_props(prop_list));
         }
     }
 
@@ -202,6 +205,109 @@ function kebab_to_title(kebab)
     return kebab.split("-").map(chunk => chunk.charAt(0).toUpperCase() + chunk.substring(1).toLowerCase()).join(" ");
 }
 
+/**
+ * \returns The Levenshtein distance between two strings
+ */
+function edit_distance(a, b)
+{
+    let previous = Array.from({length: b.length + 1}, (_, j) => j);
+    for ( let i = 1; i <= a.length; i++ )
+    {
+        let current = [i];
+        for ( let j = 1; j <= b.length; j++ )
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1)));
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * \brief Finds the value that was most likely meant instead of \p value
+ * \param value Unknown value
+ * \param candidates Array of valid values
+ * \returns The closest string in \p candidates,
+ *          or \b undefined if there isn't a single one that is close enough
+ */
+function closest_match(value, candidates)
+{
+    if ( typeof value != "string" )
+        return undefined;
+
+    let lower = value.toLowerCase();
+    candidates = candidates.filter(candidate => typeof candidate == "string" && candidate != value);
+
+    let same_case = candidates.filter(candidate => candidate.toLowerCase() == lower);
+    if ( same_case.length == 1 )
+        return same_case[0];
+
+    // Short names are too close to each other to guess typos
+    if ( lower.length <= 2 )
+        return undefined;
+
+    let best = [];
+    let best_distance = lower.length <= 4 ? 2 : 3;
+    for ( let candidate of candidates )
+    {
+        let distance = edit_distance(lower, candidate.toLowerCase());
+        if ( distance < best_distance )
+        {
+            best = [candidate];
+            best_distance = distance;
+        }
+        else if ( distance == best_distance )
+        {
+            best.push(candidate);
+        }
+    }
+
+    return best.length == 1 ? best[0] : undefined;
+}
+
+/**
+ * \brief Picks the branch of a failed `oneOf` or `anyOf` that was most likely intended
+ *
+ * Branches failing on the type of the value itself or on a discriminating constant
+ * are the least likely, then the branch whose errors are deeper into the data wins
+ * as it matched more of it, then the one with fewer errors.
+ *
+ * \param branches Array of objects with the \c errors from each branch
+ * \param path JSON path of the value being validated
+ * \returns The best element of \p branches
+ */
+function best_union_branch(branches, path)
+{
+    let scores = branches.map(branch => {
+        let score = {mismatches: 0, depth: 0, count: 0, warnings: 0};
+        for ( let error of branch.errors )
+        {
+            // Warnings don't make a branch any closer to the data
+            if ( error.type == "warning" )
+            {
+                score.warnings += 1;
+                continue;
+            }
+
+            score.count += 1;
+            let depth = error.instancePath.length > path.length ? error.instancePath.substring(path.length).split("/").length - 1 : 0;
+            if ( (error.keyword == "type" && depth == 0) || ((error.keyword == "const" || error.keyword == "enum") && depth <= 1) || error.code == "unknown-type" )
+                score.mismatches += 1;
+            score.depth = Math.max(score.depth, depth);
+        }
+        return score;
+    });
+
+    let best = 0;
+    for ( let i = 1; i < branches.length; i++ )
+    {
+        let a = scores[i];
+        let b = scores[best];
+        if ( a.mismatches < b.mismatches || (a.mismatches == b.mismatches && (a.depth > b.depth || (a.depth == b.depth && (a.count < b.count || (a.count == b.count && a.warnings < b.warnings))))) )
+            best = i;
+    }
+
+    return branches[best];
+}
+
 
 /**
  * \brief Validation function to switch OneOf objects based on the value of a property
@@ -226,9 +332,12 @@ function custom_discriminator(propname, fail_unknown, default_value=undefined)
         var sub_schema = schema[value];
         if ( sub_schema === undefined )
         {
+            let suggestion = closest_match(value, Object.keys(schema));
             validate_fn.errors = [{
-                message: `has unknown '${propname}' value ` + JSON.stringify(value),
                 type: fail_unknown ? "error" : "warning",
+                rule: "unknown-type",
+                code: "unknown-type",
+                params: {property: propname, value: value, suggestion: suggestion},
                 warning: "type",
                 instancePath: data_cxt.instancePath + "/" + propname,
                 parentSchema: parent_schema,
@@ -261,6 +370,148 @@ function patch_schema_enum(schema)
     }
 }
 
+/**
+ * \brief Error codes for errors from standard JSON schema keywords
+ */
+const schema_error_codes = {
+    type: "invalid-type",
+    required: "missing-property",
+    pattern: "pattern-mismatch",
+    format: "invalid-format",
+    const: "invalid-value",
+    enum: "invalid-value",
+    minimum: "out-of-range",
+    maximum: "out-of-range",
+    exclusiveMinimum: "out-of-range",
+    exclusiveMaximum: "out-of-range",
+    minItems: "invalid-length",
+    maxItems: "invalid-length",
+    minLength: "invalid-length",
+    maxLength: "invalid-length",
+    additionalProperties: "unknown-property",
+    oneOf: "multiple-matching-schemas",
+    anyOf: "no-matching-alternative",
+};
+
+/**
+ * \returns The error code for a raw error object, from the validator or Ajv
+ */
+function error_code(error)
+{
+    return error.code ?? schema_error_codes[error.keyword] ?? "schema-violation";
+}
+
+/**
+ * \returns The parameters for a raw error object, using \c property for the property name
+ *          where Ajv uses a different one for each keyword
+ */
+function error_params(error)
+{
+    if ( error.keyword == "required" )
+        return {property: error.params.missingProperty};
+    if ( error.keyword == "additionalProperties" )
+        return {property: error.params.additionalProperty};
+    return error.params;
+}
+
+/**
+ * \brief English diagnostic messages by error code
+ *
+ * Each message is either a string where `{param}` is replaced by the error parameter
+ * (`{param:json}` for its JSON representation), or a function taking the parameters
+ * and returning the message. `{name}` is the name of the object the error refers to
+ * and `{keyword}` is the JSON schema keyword for schema errors.
+ */
+const default_messages = {
+    // Schema
+    "invalid-type": "{name} must be {type}",
+    "missing-property": "{name} must have required property '{property}'",
+    "pattern-mismatch": "{name} doesn't match the pattern",
+    "invalid-format": "{name} must match format \"{format}\"",
+    "invalid-value": p => p.allowedValues ? `${p.name} must be equal to one of the allowed values` : `${p.name} must be equal to constant`,
+    "out-of-range": "{name} must be {comparison} {limit}",
+    "invalid-length": p => `${p.name} must NOT have ${p.keyword.startsWith("min") ? "fewer" : "more"} than ${p.limit} ${p.keyword.endsWith("Items") ? "items" : "characters"}`,
+    "multiple-matching-schemas": "{name} matches more than one schema in oneOf",
+    "no-matching-alternative": "{name} must match at least one schema in anyOf",
+    "unknown-property": p => `${p.name} has unknown property '${p.property}'` + (p.suggestion === undefined ? "" : `, did you mean '${p.suggestion}'?`),
+    "unknown-type": p => `${p.name} has unknown '${p.property}' value ${JSON.stringify(p.value)}` + (p.suggestion === undefined ? "" : `, did you mean ${JSON.stringify(p.suggestion)}?`),
+    "invalid-enum": "{name} '{value}' is not a valid enumeration value",
+    // Keyframes
+    "keyframe-order": "{name} 't' must be in ascending order",
+    "keyframe-duplicate-time": "{name} there can be at most 2 keyframes with the same 't' value",
+    "keyframe-missing-easing": "{name} must have required property '{property}'",
+    "easing-out-of-range": "{name} easing '{property}.x' must be between 0 and 1",
+    "easing-length-mismatch": "{name} easing '{property}' has {x_length} 'x' values but {y_length} 'y' values",
+    // Value shapes
+    "keyframe-value-length": "{name} value has {length} components but the first keyframe has {expected}",
+    "bezier-length-mismatch": "{name} has {length} points but there are {expected} vertices",
+    "gradient-length-mismatch": "{name} has {length} values, which doesn't match {color_stops} color stops",
+    // Timeline
+    "invalid-time-range": "{name} {op} must be greater than the in point ({ip})",
+    "layer-outside-composition": "{name} {ip} and out point {op} are outside the animation range [{composition_ip}, {composition_op}) so the layer is never visible",
+    "keyframe-outside-layer": "{name} {t} is far outside the layer range [{ip}, {op})",
+    "marker-outside-animation": p => p.property == "dr"
+        ? `${p.name} ${p.dr} makes the marker end outside the animation range [${p.ip}, ${p.op}]`
+        : `${p.name} ${p.tm} is outside the animation range [${p.ip}, ${p.op}]`,
+    // Unused content
+    "unused-asset": "{name} {id:json} is not used by any visible layer",
+    "hidden-layer": "{name} is true so the layer is never visible",
+    "transparent-layer": "{name} is always 0 so the layer is never visible",
+    "shape-after-transform": "{name} comes after the group transform so it is ignored",
+    // Embedded images
+    "invalid-data-url": p => `${p.name} has invalid ${p.encoding == "base64" ? "base64" : "percent-encoded"} data`,
+    "unknown-image-format": "{name} doesn't contain a supported image format (PNG, JPEG, WebP, GIF or SVG)",
+    "image-mime-mismatch": "{name} is declared as '{declared}' but contains '{detected}' data",
+    "image-size-mismatch": "{name} is {value} but the embedded image is {width}x{height}",
+    "image-too-large": "{name} embeds {bytes} bytes, more than the recommended {limit}",
+    // References
+    "unknown-asset-ref": "{name} {value:json} is not a valid asset id",
+    "asset-type-mismatch": "{name} {value:json} refers to an asset of type '{actual}' instead of '{expected}'",
+    "precomposition-loop": p => `${p.name} includes itself: ${p.ids.map(id => JSON.stringify(id)).join(" -> ")}`,
+    "unknown-slot": "{name} refers to unknown slot {sid:json}",
+    "invalid-slot-value": p => `${p.name} uses slot ${JSON.stringify(p.sid)} which doesn't have a valid ${p.name.toLowerCase()} value`,
+    "unused-slot": "{name} is not used by any property",
+    // Layers
+    "duplicate-layer-index": "{name} {ind} is already used by the layer at {other_path}",
+    "unknown-parent": "{name} {parent} is not the index of a layer in the same composition",
+    "parent-loop": p => `${p.name} forms a loop: ${p.indices.join(" -> ")}`,
+    "matte-without-mode": "{name} has no effect without a matte mode",
+    "matte-self-reference": "{name} must not refer to the layer itself",
+    "unknown-matte": "{name} {tp} is not the index of a layer in the same composition",
+    "missing-matte-layer": "{name} requires a layer above to use as matte",
+    "matte-not-marked": "{name} uses the layer at {matte_path} as matte but it isn't marked as a matte source ('td')",
+    // Documents
+    "invalid-json": "Document is not a valid JSON file",
+    // dotLottie
+    "invalid-archive": "Document is not a valid dotLottie file",
+    "missing-manifest": "Archive is missing manifest.json",
+    "invalid-manifest": p => p.property ? `Manifest must have an '${p.property}' array` : "Manifest is not a valid JSON file",
+    "empty-manifest": "Manifest must list at least one animation",
+    "invalid-animation-id": "Animation must have a string 'id'",
+    "duplicate-animation-id": "Animation id {id:json} is used more than once",
+    "missing-animation-file": "Animation {id:json} is missing {file}",
+    "missing-archive-image": "{name} {file:json} is not in the archive",
+};
+
+/**
+ * \brief Formats a message from the catalog
+ * \param message Message string or function, see default_messages
+ * \param params Object with the message parameters
+ * \returns The formatted message
+ */
+function format_message(message, params)
+{
+    if ( typeof message == "function" )
+        return message(params);
+
+    return message.replace(/\{(\w+)(:json)?\}/g, (match, name, json) => {
+        let value = params[name];
+        if ( json || (typeof value == "object" && value !== null) )
+            return JSON.stringify(value);
+        return String(value);
+    });
+}
+
 /**
  * \brief Checks if a keyframe object has a numeric \c t property
  */
@@ -269,362 +520,2683 @@ function keyframe_has_t(kf)
     return typeof kf == "object" && typeof kf.t == "number";
 }
 
-class LottieValidator
+/**
+ * \brief Calls \p callback for every layer list in the animation
+ * \param data Top-level animation object
+ * \param callback Function called with the layer array and its JSON path
+ */
+function for_each_layer_list(data, callback)
 {
-    static default_config = {
-        name_paths: false,
-        docs_url: "https://lottie.github.io/lottie-spec/latest"
-    };
+    if ( Array.isArray(data.layers) )
+        callback(data.layers, "/layers");
 
-    constructor(AjvClass, schema_json, config={})
+    if ( Array.isArray(data.assets) )
     {
-        for ( let [k, v] of Object.entries(LottieValidator.default_config) )
-            if ( config[k] === undefined )
-                config[k] = v;
+        for ( let i = 0; i < data.assets.length; i++ )
+        {
+            let asset = data.assets[i];
+            if ( typeof asset == "object" && asset !== null && Array.isArray(asset.layers) )
+                callback(asset.layers, `/assets/${i}/layers`);
+        }
+    }
+}
 
-        this.schema = schema_json;
-        this.defs = this.schema["$defs"];
-        this.name_paths = config.name_paths;
-        var prop_map = new PropertyMap();
-        let ty_to_patch = [];
+/**
+ * \brief Calls \p callback for every shape in \p shapes, including the ones within groups
+ * \param shapes Array of shapes
+ * \param path JSON path to \p shapes
+ * \param callback Function called with each shape and its JSON path
+ */
+function for_each_shape(shapes, path, callback)
+{
+    for ( let i = 0; i < shapes.length; i++ )
+    {
+        let shape = shapes[i];
+        if ( typeof shape != "object" || shape === null )
+            continue;
 
-        // General patches
-        for ( let [cat, sub_schemas] of Object.entries(this.defs) )
-        {
-            let cat_docs = `${config.docs_url}/specs/${cat}/`;
-            let cat_name = kebab_to_title(cat.replace(/s$/, ""));
-            for ( let [obj, sub_schema] of Object.entries(sub_schemas) )
-            {
-                let id = `#/$defs/${cat}/${obj}`;
-                this.patch_object(cat, obj, id, sub_schema, cat_docs, cat_name);
+        callback(shape, `${path}/${i}`);
+        if ( shape.ty == "gr" && Array.isArray(shape.it) )
+            for_each_shape(shape.it, `${path}/${i}/it`, callback);
+    }
+}
 
-                if ( obj.startsWith("all-") && obj != "all-assets" )
-                    ty_to_patch.push([cat, obj]);
+/**
+ * \brief Calls \p callback for every object nested within \p value (including itself)
+ * \param value Value to traverse
+ * \param path JSON path to \p value
+ * \param callback Function called with each object and its JSON path
+ */
+function for_each_object(value, path, callback)
+{
+    if ( typeof value != "object" || value === null )
+        return;
 
-                prop_map.extract_all_properties(sub_schema, id, prop_map.create(id, sub_schema), false);
-            }
-        }
+    if ( Array.isArray(value) )
+    {
+        for ( let i = 0; i < value.length; i++ )
+            for_each_object(value[i], `${path}/${i}`, callback);
+        return;
+    }
 
-        // Go through all the ty-based objects and patch them
-        let schema_id = this.schema["$id"];
-        for ( let [category, all] of ty_to_patch )
-            this._patch_ty_schema(schema_id, category, all);
+    callback(value, path);
+    for ( let [key, child] of Object.entries(value) )
+        for_each_object(child, path + "/" + escape_json_pointer(key), callback);
+}
 
-        // Patch animated property validation to validate based on `a: 0` or `a: 1`
-        for ( let [pname, pschema] of Object.entries(this.defs.properties) )
-        {
-            if ( pname.endsWith("-property") || pname == "gradient-stops" )
-                this._patch_property_schema(pschema, schema_id + "#/$defs/properties/" + pname);
+/**
+ * \returns The JSON schema type of a value, \b undefined for \b undefined
+ */
+function json_type(value)
+{
+    if ( value === undefined )
+        return undefined;
+    if ( value === null )
+        return "null";
+    if ( Array.isArray(value) )
+        return "array";
+    if ( typeof value == "number" )
+        return Number.isInteger(value) ? "integer" : "number";
+    return typeof value;
+}
+
+/**
+ * \brief Escapes an object key to be used in a JSON path
+ */
+function escape_json_pointer(key)
+{
+    return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * \returns \b true if \p path is \p pattern or within it
+ * \param pattern JSON path where `*` matches any single path component
+ * \param path JSON path to check
+ */
+function json_pointer_matches(pattern, path)
+{
+    let pattern_parts = pattern.split("/");
+    let path_parts = path.split("/");
+    if ( path_parts.length < pattern_parts.length )
+        return false;
+
+    return pattern_parts.every((part, i) => part == "*" || part == path_parts[i]);
+}
+
+/**
+ * \brief Finds the object containing the value at the given JSON path
+ * \param data Top-level object
+ * \param path JSON path to the value
+ * \returns Array with the parent object and the key within it,
+ *          the parent is \b undefined if the path doesn't exist
+ */
+function resolve_json_pointer(data, path)
+{
+    let parts = path.split("/").slice(1).map(part => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+    if ( parts.length == 0 )
+        return [undefined, undefined];
+
+    let parent = data;
+    for ( let part of parts.slice(0, -1) )
+    {
+        if ( typeof parent != "object" || parent === null )
+            return [undefined, undefined];
+        parent = parent[part];
+    }
+
+    if ( typeof parent != "object" || parent === null )
+        return [undefined, undefined];
+
+    return [parent, parts[parts.length - 1]];
+}
+
+/**
+ * \returns A Map from layer `ind` to the position of the first layer with that index in \p layers
+ */
+function index_layers(layers)
+{
+    let by_index = new Map();
+    for ( let i = 0; i < layers.length; i++ )
+    {
+        let layer = layers[i];
+        if ( typeof layer == "object" && layer !== null && typeof layer.ind == "number" && !by_index.has(layer.ind) )
+            by_index.set(layer.ind, i);
+    }
+    return by_index;
+}
+
+/**
+ * \brief Decodes a data URL
+ * \param url Data URL string
+ * \returns Object with \c mime and \c bytes (Uint8Array), \b null if \p url isn't a data URL,
+ *          or an object with \c mime and \c error (the encoding that can't be decoded: `"base64"` or `"percent"`)
+ */
+function decode_data_url(url)
+{
+    let match = url.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+    if ( !match )
+        return null;
+
+    let mime = match[1].toLowerCase();
+    let payload = match[3];
+
+    if ( !match[2].split(";").includes("base64") )
+    {
+        try {
+            return {mime: mime, bytes: new TextEncoder().encode(decodeURIComponent(payload))};
+        } catch(e) {
+            return {mime: mime, error: "percent"};
         }
-        this.defs.properties["base-keyframe"].keyframe = true;
+    }
 
-        // Patches enum validation
-        for ( let enum_schema of Object.values(this.defs.constants) )
-            patch_schema_enum(enum_schema);
-        patch_schema_enum(this.defs.values["int-boolean"])
+    payload = payload.replace(/\s+/g, "");
+    if ( payload.length % 4 != 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(payload) )
+        return {mime: mime, error: "base64"};
 
-        // Custom validation for assets
-        this.defs.assets["all-assets"] = {
-            "type": "object",
-            "asset_oneof": schema_id,
-        };
+    let binary = atob(payload);
+    let bytes = new Uint8Array(binary.length);
+    for ( let i = 0; i < binary.length; i++ )
+        bytes[i] = binary.charCodeAt(i);
+    return {mime: mime, bytes: bytes};
+}
+
+/**
+ * \brief Finds the size of an SVG image from the attributes of the root element
+ */
+function svg_size(text)
+{
+    let tag = text.match(/<svg\b[^>]*>/);
+    if ( !tag )
+        return {};
+
+    let attribute = name => tag[0].match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([0-9.]+)(px)?\\s*["']`))?.[1];
+    let width = attribute("width");
+    let height = attribute("height");
+    if ( width !== undefined && height !== undefined )
+        return {width: Number(width), height: Number(height)};
+
+    let view_box = tag[0].match(/\sviewBox\s*=\s*["']([^"']*)["']/);
+    if ( view_box )
+    {
+        let values = view_box[1].trim().split(/[\s,]+/).map(Number);
+        if ( values.length == 4 && values.every(v => !isNaN(v)) )
+            return {width: values[2], height: values[3]};
+    }
+
+    return {};
+}
 
-        for ( let layer_type of ["image-layer", "precomposition-layer"])
+/**
+ * \brief Detects the format and size of an image from its contents
+ * \param bytes Uint8Array with the image file
+ * \returns Object with \c mime and optionally \c width and \c height, or \b null if the format isn't recognized
+ */
+function sniff_image(bytes)
+{
+    let ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    let uint16_be = offset => (bytes[offset] << 8) | bytes[offset + 1];
+    let uint16_le = offset => bytes[offset] | (bytes[offset + 1] << 8);
+    let uint24_le = offset => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    let uint32_be = offset => uint16_be(offset) * 0x10000 + uint16_be(offset + 2);
+
+    if ( bytes.length >= 24 && ascii(0, 8) == "\x89PNG\r\n\x1a\n" )
+        return {mime: "image/png", width: uint32_be(16), height: uint32_be(20)};
+
+    if ( bytes.length >= 10 && (ascii(0, 6) == "GIF87a" || ascii(0, 6) == "GIF89a") )
+        return {mime: "image/gif", width: uint16_le(6), height: uint16_le(8)};
+
+    if ( bytes.length >= 3 && bytes[0] == 0xff && bytes[1] == 0xd8 && bytes[2] == 0xff )
+    {
+        // Look for the start of frame segment
+        let offset = 2;
+        while ( offset + 9 < bytes.length && bytes[offset] == 0xff )
         {
-            let layer_schema = this.defs.layers[layer_type];
-            layer_schema.allOf[1].properties.refId.reference_asset = true;
+            let marker = bytes[offset + 1];
+            if ( marker >= 0xc0 && marker <= 0xcf && marker != 0xc4 && marker != 0xc8 && marker != 0xcc )
+                return {mime: "image/jpeg", width: uint16_be(offset + 7), height: uint16_be(offset + 5)};
+            offset += 2 + uint16_be(offset + 2);
         }
+        return {mime: "image/jpeg"};
+    }
 
-        prop_map.finalize();
+    if ( bytes.length >= 16 && ascii(0, 4) == "RIFF" && ascii(8, 4) == "WEBP" )
+    {
+        let chunk = ascii(12, 4);
+        if ( chunk == "VP8 " && bytes.length >= 30 )
+            return {mime: "image/webp", width: uint16_le(26) & 0x3fff, height: uint16_le(28) & 0x3fff};
+        if ( chunk == "VP8L" && bytes.length >= 25 )
+        {
+            let bits = bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24);
+            return {mime: "image/webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1};
+        }
+        if ( chunk == "VP8X" && bytes.length >= 30 )
+            return {mime: "image/webp", width: uint24_le(24) + 1, height: uint24_le(27) + 1};
+        return {mime: "image/webp"};
+    }
 
-        this.validator = new AjvClass({
-            allErrors: true,
-            verbose: true,
-            // inlineRefs: false,
-            // strict: false,
-            keywords: this.custom_validator_keywords(),
-            schemas: [this.schema]
-        });
-        this._validate_internal = this.validator.getSchema(schema_id);
+    let text = new TextDecoder().decode(bytes.subarray(0, 4096)).replace(/^\ufeff/, "").trimStart();
+    if ( (text.startsWith("<?xml") || text.startsWith("<svg") || text.startsWith("<!--")) && /<svg\b/.test(text) )
+        return {mime: "image/svg+xml", ...svg_size(text)};
+
+    return null;
+}
+
+/**
+ * \brief Scans JSON source text to find where values are located
+ *
+ * Only records the offsets of the requested paths so it can be used on large files.
+ */
+class JsonSourceMap
+{
+    constructor(string)
+    {
+        this.string = string;
+        this.offsets = new Map();
+        this.ranges = new Map();
+        this.line_starts = null;
+        this.pos = 0;
     }
 
     /**
-     * \brief Returns an array for Ajv `keywords`
+     * \brief Scans the whole document, recording offsets of the given paths
+     * \param paths Set of JSON paths to locate, or \b null to record all of them
+     * \throws Error with an \c offset property if the string isn't valid JSON
      */
-    custom_validator_keywords()
+    scan(paths)
     {
-        let self = this;
-        return [
-            // Ignore custom validators and $version
-            {keyword: ["_docs", "_name", "_docs_name", "$version"]},
-            // ty-based validation switch
-            {
-                keyword: "ty_oneof",
-                validate: custom_discriminator("ty", false),
-            },
-            // animated property based on `a`
-            {
-                keyword: "prop_oneof",
-                validate: custom_discriminator("a", true),
-            },
-            // Asset validation switch based on structure
+        // Ancestors are used as a fallback for paths that don't exist in the document
+        this.paths = paths === null ? null : new Set();
+        for ( let path of paths ?? [] )
+        {
+            while ( !this.paths.has(path) )
             {
-                keyword: "asset_oneof",
-                validate: function validate_asset(schema, data, parent_schema, data_cxt)
-                {
-                    validate_asset.errors = [];
+                this.paths.add(path);
+                if ( path === "" )
+                    break;
+                path = path.substring(0, path.lastIndexOf("/"));
+            }
+        }
+        this.pos = 0;
+        this._skip_whitespace();
+        this._value("");
+        this._skip_whitespace();
+        if ( this.pos < this.string.length )
+            this._fail(`Unexpected ${this._describe_char()} after the end of the document`);
+    }
 
-                    if ( typeof data != "object" || data === null )
-                        return true;
+    /**
+     * \returns Object with 1-based \c line and \c column and 0-based \c offset for the given offset
+     */
+    position(offset)
+    {
+        let line_starts = this._line_starts();
+        let low = 0;
+        let high = line_starts.length - 1;
+        while ( low < high )
+        {
+            let mid = (low + high + 1) >> 1;
+            if ( line_starts[mid] <= offset )
+                low = mid;
+            else
+                high = mid - 1;
+        }
 
-                    var target_schema = this.getSchema(schema + self.get_asset_ref(data));
+        return {
+            line: low + 1,
+            column: offset - line_starts[low] + 1,
+            offset: offset,
+        };
+    }
 
-                    if ( !target_schema(data, data_cxt) )
-                    {
-                        validate_asset.errors = target_schema.errors;
-                        return false;
-                    }
-                    return true;
-                },
-            },
-            // Split position based on `s`
-            {
-                keyword: "splitpos_oneof",
-                validate: custom_discriminator("s", false, false),
-            },
-            // Keyframe validation for structure and semantics
-            {
+    /**
+     * \returns The offset for 1-based \p line and \p column, clamped to the document
+     */
+    offset(line, column)
+    {
+        let line_starts = this._line_starts();
+        if ( line > line_starts.length )
+            return this.string.length;
+        let line_start = line_starts[Math.max(line, 1) - 1];
+        let line_end = line < line_starts.length ? line_starts[line] - 1 : this.string.length;
+        return Math.min(line_start + Math.max(column, 1) - 1, line_end);
+    }
+
+    /**
+     * \brief Finds the range to highlight for the value at \p path, or for its closest scanned ancestor
+     *
+     * Properties are highlighted by their name, array elements and the root by their value.
+     *
+     * \returns Object with \c start and \c end positions, \c end being exclusive
+     */
+    path_range(path)
+    {
+        while ( true )
+        {
+            let range = this.ranges.get(path);
+            if ( range !== undefined )
+                return {start: this.position(range.start), end: this.position(range.key_end ?? range.value_end)};
+            if ( path === "" )
+                return undefined;
+            path = path.substring(0, path.lastIndexOf("/"));
+        }
+    }
+
+    /**
+     * \returns The path of the innermost scanned value (or property name) containing \p offset, or \b null
+     */
+    path_at(offset)
+    {
+        let found = null;
+        let found_size = Infinity;
+        for ( let [path, range] of this.ranges )
+        {
+            let size = range.value_end - range.start;
+            if ( offset >= range.start && offset <= range.value_end && size < found_size )
+            {
+                found = path;
+                found_size = size;
+            }
+        }
+        return found;
+    }
+
+    _line_starts()
+    {
+        if ( this.line_starts === null )
+        {
+            this.line_starts = [0];
+            for ( let i = 0; i < this.string.length; i++ )
+                if ( this.string.charCodeAt(i) == 10 )
+                    this.line_starts.push(i + 1);
+        }
+        return this.line_starts;
+    }
+
+    _fail(message)
+    {
+        let error = new Error(message);
+        error.offset = this.pos;
+        throw error;
+    }
+
+    _describe_char()
+    {
+        if ( this.pos >= this.string.length )
+            return "end of input";
+        return `character ${JSON.stringify(this.string[this.pos])}`;
+    }
+
+    _record(path, offset)
+    {
+        if ( (this.paths === null || this.paths.has(path)) && !this.offsets.has(path) )
+            this.offsets.set(path, offset);
+    }
+
+    /**
+     * \brief Records the extent of a value whose start offset has been recorded
+     * \param key_end End of the property name, for object members
+     */
+    _record_range(path, value_start, key_end)
+    {
+        let start = this.offsets.get(path);
+        if ( start !== undefined && !this.ranges.has(path) )
+            this.ranges.set(path, {start: start, key_end: key_end, value_start: value_start, value_end: this.pos});
+    }
+
+    _skip_whitespace()
+    {
+        while ( this.pos < this.string.length )
+        {
+            let c = this.string.charCodeAt(this.pos);
+            // space, tab, new line, carriage return
+            if ( c != 32 && c != 9 && c != 10 && c != 13 )
+                break;
+            this.pos++;
+        }
+    }
+
+    _expect(char)
+    {
+        if ( this.string[this.pos] !== char )
+            this._fail(`Expected '${char}' but found ${this._describe_char()}`);
+        this.pos++;
+    }
+
+    _value(path, key_end)
+    {
+        let value_start = this.pos;
+        this._record(path, value_start);
+
+        let c = this.string[this.pos];
+        if ( c == "{" )
+            this._object(path);
+        else if ( c == "[" )
+            this._array(path);
+        else if ( c == "\"" )
+            this._string();
+        else if ( c == "-" || (c >= "0" && c <= "9") )
+            this._number();
+        else if ( !this._literal("true") && !this._literal("false") && !this._literal("null") )
+            this._fail(`Unexpected ${this._describe_char()}`);
+
+        this._record_range(path, value_start, key_end);
+    }
+
+    _object(path)
+    {
+        this.pos++;
+        this._skip_whitespace();
+        if ( this.string[this.pos] == "}" )
+        {
+            this.pos++;
+            return;
+        }
+
+        while ( true )
+        {
+            if ( this.string[this.pos] != "\"" )
+                this._fail(`Expected a property name but found ${this._describe_char()}`);
+
+            let key_start = this.pos;
+            this._string();
+            let key = JSON.parse(this.string.substring(key_start, this.pos));
+            let child_path = path + "/" + escape_json_pointer(key);
+            // Point to the key rather than the value so errors on the property are easier to spot
+            this._record(child_path, key_start);
+            let key_end = this.pos;
+
+            this._skip_whitespace();
+            this._expect(":");
+            this._skip_whitespace();
+            this._value(child_path, key_end);
+            this._skip_whitespace();
+
+            if ( this.string[this.pos] == "}" )
+            {
+                this.pos++;
+                return;
+            }
+            this._expect(",");
+            this._skip_whitespace();
+        }
+    }
+
+    _array(path)
+    {
+        this.pos++;
+        this._skip_whitespace();
+        if ( this.string[this.pos] == "]" )
+        {
+            this.pos++;
+            return;
+        }
+
+        for ( let index = 0; ; index++ )
+        {
+            this._value(`${path}/${index}`);
+            this._skip_whitespace();
+
+            if ( this.string[this.pos] == "]" )
+            {
+                this.pos++;
+                return;
+            }
+            this._expect(",");
+            this._skip_whitespace();
+        }
+    }
+
+    _string()
+    {
+        this.pos++;
+        while ( this.pos < this.string.length )
+        {
+            let c = this.string.charCodeAt(this.pos);
+            // Closing quote
+            if ( c == 34 )
+            {
+                this.pos++;
+                return;
+            }
+            // Backslash
+            else if ( c == 92 )
+            {
+                let escape = this.string[this.pos + 1];
+                if ( escape == "u" )
+                {
+                    if ( !/^[0-9a-fA-F]{4}$/.test(this.string.substr(this.pos + 2, 4)) )
+                        this._fail("Invalid unicode escape sequence");
+                    this.pos += 6;
+                }
+                else if ( escape !== undefined && "\"\\/bfnrt".includes(escape) )
+                {
+                    this.pos += 2;
+                }
+                else
+                {
+                    this._fail("Invalid escape sequence");
+                }
+            }
+            else if ( c < 32 )
+            {
+                this._fail("Unescaped control character in string");
+            }
+            else
+            {
+                this.pos++;
+            }
+        }
+
+        this._fail("Unterminated string");
+    }
+
+    _number()
+    {
+        let number_re = /-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][-+]?[0-9]+)?/y;
+        number_re.lastIndex = this.pos;
+        if ( !number_re.test(this.string) )
+            this._fail("Invalid number");
+        this.pos = number_re.lastIndex;
+    }
+
+    _literal(word)
+    {
+        if ( !this.string.startsWith(word, this.pos) )
+            return false;
+        this.pos += word.length;
+        return true;
+    }
+}
+
+class LottieValidator
+{
+    static default_config = {
+        name_paths: false,
+        docs_url: "https://lottie.github.io/lottie-spec/latest",
+        spec_version: "auto",
+        max_image_bytes: 1024 * 1024,
+        locale: "en",
+    };
+
+    /**
+     * \brief Message catalogs by locale, see default_messages for the format
+     *
+     * Messages missing from a catalog fall back to English.
+     */
+    static locales = {en: default_messages};
+
+    /**
+     * \brief Object types custom rules can visit, see add_rule
+     */
+    static rule_object_types = ["animation", "layer", "shape", "asset", "keyframe"];
+
+    /**
+     * \brief Ids of the built-in checks, used to configure their severity
+     */
+    static builtin_rules = [
+        "schema", "unknown-property", "unknown-type", "invalid-enum", "keyframe-order", "keyframe-easing",
+        "asset-reference", "precomposition-loop", "slot-reference", "unused-slot",
+        "layer-index", "layer-parent", "track-matte", "value-shape", "timeline", "embedded-image", "unused-content", "archive-image",
+    ];
+
+    /**
+     * \brief Valid values for the severity of a rule
+     */
+    static severities = ["off", "warning", "error"];
+
+    constructor(AjvClass, schema_json, config={})
+    {
+        for ( let [k, v] of Object.entries(LottieValidator.default_config) )
+            if ( config[k] === undefined )
+                config[k] = v;
+
+        this._rules = [];
+        this._configure_diagnostics(config);
+
+        // Multiple schemas, select them based on their `$version`
+        if ( Array.isArray(schema_json) )
+        {
+            this._schemas = new Map(schema_json.map(schema => [spec_version_string(schema["$version"]), schema]));
+
+            if ( config.spec_version == "auto" )
+            {
+                this._AjvClass = AjvClass;
+                this._config = config;
+                this._versioned_validators = new Map();
+                return;
+            }
+
+            if ( !this._schemas.has(config.spec_version) )
+                throw new Error(`No schema available for version ${config.spec_version}`);
+
+            schema_json = this._schemas.get(config.spec_version);
+        }
+
+        this.schema = schema_json;
+        this.defs = this.schema["$defs"];
+        this.name_paths = config.name_paths;
+        var prop_map = new PropertyMap();
+        let ty_to_patch = [];
+
+        // Marks integer booleans so fix can recognize them even after the schema has been copied
+        this.defs.values["int-boolean"].int_boolean = true;
+
+        // General patches
+        for ( let [cat, sub_schemas] of Object.entries(this.defs) )
+        {
+            let cat_docs = `${config.docs_url}/specs/${cat}/`;
+            let cat_name = kebab_to_title(cat.replace(/s$/, ""));
+            for ( let [obj, sub_schema] of Object.entries(sub_schemas) )
+            {
+                let id = `#/$defs/${cat}/${obj}`;
+                this.patch_object(cat, obj, id, sub_schema, cat_docs, cat_name);
+
+                if ( obj.startsWith("all-") && obj != "all-assets" )
+                    ty_to_patch.push([cat, obj]);
+
+                prop_map.extract_all_properties(sub_schema, id, prop_map.create(id, sub_schema), false);
+            }
+        }
+
+        // Go through all the ty-based objects and patch them
+        let schema_id = this.schema["$id"];
+        for ( let [category, all] of ty_to_patch )
+            this._patch_ty_schema(schema_id, category, all);
+
+        // Patch animated property validation to validate based on `a: 0` or `a: 1`
+        for ( let [pname, pschema] of Object.entries(this.defs.properties) )
+        {
+            if ( pname.endsWith("-property") || pname == "gradient-stops" )
+                this._patch_property_schema(pschema, schema_id + "#/$defs/properties/" + pname);
+        }
+        this.defs.properties["base-keyframe"].keyframe = true;
+        this.defs.values.bezier.bezier_points = true;
+        this.defs.properties["gradient-property"].gradient_stops = true;
+
+        // Easing ranges are checked by the `keyframe` keyword, which gives clearer errors
+        for ( let option of this.defs.properties["easing-handle"].properties.x.oneOf )
+        {
+            let range = option.items ?? option;
+            delete range.minimum;
+            delete range.maximum;
+        }
+
+        // Patches enum validation
+        for ( let enum_schema of Object.values(this.defs.constants) )
+            patch_schema_enum(enum_schema);
+        patch_schema_enum(this.defs.values["int-boolean"])
+
+        // Custom validation for assets
+        this.defs.assets["all-assets"] = {
+            "type": "object",
+            "asset_oneof": schema_id,
+        };
+
+        for ( let [layer_type, asset_type] of [["image-layer", "image"], ["precomposition-layer", "precomposition"]] )
+        {
+            let layer_schema = this.defs.layers[layer_type];
+            layer_schema.allOf[1].properties.refId.reference_asset = "#/$defs/assets/" + asset_type;
+        }
+
+        // Slot validation, the value is the schema used to validate the slot value
+        for ( let [pname, pschema] of Object.entries(this.defs.properties) )
+        {
+            if ( pschema.allOf && pschema.allOf.some(s => s.$ref == "#/$defs/helpers/slottable-property") )
+                pschema.slot_reference = schema_id + "#/$defs/properties/" + pname;
+        }
+        // Image slots replace the image data but not the asset id
+        this.defs.assets.image.slot_reference = schema_id + "#/$defs/assets/image/allOf/2";
+
+        prop_map.finalize();
+
+        this._patch_union_schema(this.schema, schema_id + "#");
+
+        this.validator = new AjvClass({
+            allErrors: true,
+            verbose: true,
+            // inlineRefs: false,
+            // strict: false,
+            keywords: this.custom_validator_keywords(),
+            schemas: [this.schema],
+            ...config.ajv_options
+        });
+        this._validate_internal = this.validator.getSchema(schema_id);
+    }
+
+    /**
+     * \brief Creates a validator from precompiled validation code
+     *
+     * This skips patching and compiling the schema, see `scripts/build-standalone.js`.
+     *
+     * \param schema_json Schema already patched by a LottieValidator
+     * \param validate Standalone Ajv validation function for \p schema_json
+     * \param config Validator configuration, `docs_url` is ignored as it is part of the patched schema
+     */
+    static from_compiled(schema_json, validate, config={})
+    {
+        let validator = Object.create(LottieValidator.prototype);
+        validator.schema = schema_json;
+        validator.defs = schema_json["$defs"];
+        validator.name_paths = config.name_paths ?? LottieValidator.default_config.name_paths;
+        validator._validate_internal = validate;
+        validator._rules = [];
+        validator._configure_diagnostics(config);
+        return validator;
+    }
+
+    /**
+     * \brief Sets up severity overrides and ignored diagnostics from the configuration
+     * \throws Error if the configuration is not valid
+     */
+    _configure_diagnostics(config)
+    {
+        this.rule_severity = config.rules ?? {};
+        for ( let [rule, severity] of Object.entries(this.rule_severity) )
+        {
+            if ( !LottieValidator.severities.includes(severity) )
+                throw new Error(`Invalid severity for ${rule}: ${JSON.stringify(severity)}, must be one of ${LottieValidator.severities.join(", ")}`);
+        }
+
+        this.max_image_bytes = config.max_image_bytes ?? LottieValidator.default_config.max_image_bytes;
+        this.ignore_properties = new Set(config.ignore_properties ?? []);
+        this.ignore_paths = config.ignore_paths ?? [];
+
+        let locale = config.locale ?? LottieValidator.default_config.locale;
+        if ( !LottieValidator.locales[locale] )
+            throw new Error(`No messages for locale ${JSON.stringify(locale)}, available locales are ${Object.keys(LottieValidator.locales).join(", ")}`);
+        this.messages = {...default_messages, ...LottieValidator.locales[locale], ...config.messages};
+        this.names = config.names ?? {};
+    }
+
+    /**
+     * \returns The translation of an object or property name from the schema
+     * \param name English name
+     */
+    translate_name(name)
+    {
+        let translated = typeof this.names == "function" ? this.names(name) : this.names[name];
+        return translated ?? name;
+    }
+
+    /**
+     * \returns The message for an error code, using the configured locale
+     * \param code Error code
+     * \param params Message parameters, including \c name for the translated object name
+     * \param fallback Message to use if there isn't one for \p code in the catalog
+     */
+    format_message(code, params, fallback=undefined)
+    {
+        let message = this.messages[code];
+        if ( message === undefined )
+            return fallback;
+        return format_message(message, params);
+    }
+
+    /**
+     * \returns The type of the error after applying the configuration: `"error"`, `"warning"` or `"off"`
+     * \param error Raw error object
+     */
+    _error_severity(error)
+    {
+        if ( error.rule == "unknown-property" && this.ignore_properties.has(error_params(error)?.property) )
+            return "off";
+
+        if ( this.ignore_paths.some(pattern => json_pointer_matches(pattern, error.instancePath ?? "")) )
+            return "off";
+
+        return this.rule_severity[error_code(error)] ?? this.rule_severity[error.rule ?? "schema"] ?? error.type ?? "error";
+    }
+
+    /**
+     * \brief Returns an array for Ajv `keywords`
+     */
+    custom_validator_keywords()
+    {
+        let self = this;
+        let resolving_slots = new Set();
+        // The schema has an array of names so it can be serialized, they are looked up in a Set built once per schema
+        let known_properties = new WeakMap();
+        return [
+            // Ignore custom validators and $version
+            {keyword: ["_docs", "_name", "_docs_name", "$version", "int_boolean"]},
+            // ty-based validation switch
+            {
+                keyword: "ty_oneof",
+                validate: custom_discriminator("ty", false),
+            },
+            // animated property based on `a`
+            {
+                keyword: "prop_oneof",
+                validate: custom_discriminator("a", true),
+            },
+            // Asset validation switch based on structure
+            {
+                keyword: "asset_oneof",
+                validate: function validate_asset(schema, data, parent_schema, data_cxt)
+                {
+                    validate_asset.errors = [];
+
+                    if ( typeof data != "object" || data === null )
+                        return true;
+
+                    var target_schema = this.getSchema(schema + self.get_asset_ref(data));
+
+                    if ( !target_schema(data, data_cxt) )
+                    {
+                        validate_asset.errors = target_schema.errors;
+                        return false;
+                    }
+                    return true;
+                },
+            },
+            // Split position based on `s`
+            {
+                keyword: "splitpos_oneof",
+                validate: custom_discriminator("s", false, false),
+            },
+            // Other oneOf / anyOf, only reporting errors from the closest match
+            {
+                keyword: "union_oneof",
+                validate: function validate_union(schema, data, parent_schema, data_cxt)
+                {
+                    validate_union.errors = [];
+
+                    let branches = schema.options.map(option => {
+                        let validate = this.getSchema(option.id);
+                        return {errors: validate(data, data_cxt) ? [] : validate.errors};
+                    });
+
+                    let valid = branches.filter(branch => branch.errors.length == 0);
+                    if ( schema.keyword == "oneOf" && valid.length > 1 )
+                    {
+                        validate_union.errors.push({
+                            keyword: "oneOf",
+                            params: {passingSchemas: branches.map((branch, index) => index).filter(index => branches[index].errors.length == 0)},
+                            instancePath: data_cxt.instancePath,
+                            parentSchema: parent_schema,
+                        });
+                        return false;
+                    }
+
+                    if ( valid.length )
+                        return true;
+
+                    // Branches with only warnings are still matching
+                    let matching = branches.filter(branch => branch.errors.every(error => error.type == "warning"));
+                    validate_union.errors = best_union_branch(matching.length ? matching : branches, data_cxt.instancePath).errors;
+                    return false;
+                },
+            },
+            // Keyframe validation for structure and semantics
+            {
                 keyword: "keyframe",
                 validate: function validate_keyframe(schema, data, parent_schema, data_cxt)
                 {
-                    validate_keyframe.errors = [];
+                    validate_keyframe.errors = [];
+
+                    var require_io = true;
+                    if ( data.h )
+                        require_io = false;
+
+                    var index = data_cxt.parentData.indexOf(data);
+                    if ( index == data_cxt.parentData.length - 1 )
+                        require_io = false;
+
+                    if ( require_io )
+                    {
+                        for ( var prop of "io" )
+                        {
+                            if ( !(prop in data) )
+                            {
+                                validate_keyframe.errors.push({
+                                    keyword: "keyframe",
+                                    type: "error",
+                                    rule: "keyframe-easing",
+                                    code: "keyframe-missing-easing",
+                                    params: {property: prop},
+                                    instancePath: data_cxt.instancePath,
+                                    parentSchema: parent_schema,
+                                });
+                            }
+                        }
+                    }
+
+                    for ( var prop of "io" )
+                    {
+                        var handle = data[prop];
+                        if ( typeof handle != "object" || handle === null )
+                            continue;
+
+                        var xs = Array.isArray(handle.x) ? handle.x : [handle.x];
+                        if ( xs.some(x => typeof x == "number" && (x < 0 || x > 1)) )
+                        {
+                            validate_keyframe.errors.push({
+                                keyword: "keyframe",
+                                type: "error",
+                                rule: "keyframe-easing",
+                                code: "easing-out-of-range",
+                                params: {property: prop, value: handle.x},
+                                instancePath: data_cxt.instancePath + "/" + prop + "/x",
+                                parentSchema: parent_schema,
+                            });
+                        }
+
+                        if ( Array.isArray(handle.x) && Array.isArray(handle.y) && handle.x.length != handle.y.length )
+                        {
+                            validate_keyframe.errors.push({
+                                keyword: "keyframe",
+                                type: "error",
+                                rule: "keyframe-easing",
+                                code: "easing-length-mismatch",
+                                params: {property: prop, x_length: handle.x.length, y_length: handle.y.length},
+                                instancePath: data_cxt.instancePath + "/" + prop,
+                                parentSchema: parent_schema,
+                            });
+                        }
+                    }
+
+                    // All the keyframes need values with the same number of components to be interpolated
+                    var first_kf = data_cxt.parentData[0];
+                    if ( index > 0 && Array.isArray(data.s) && Array.isArray(first_kf?.s) && data.s.length != first_kf.s.length )
+                    {
+                        validate_keyframe.errors.push({
+                            keyword: "keyframe",
+                            type: "error",
+                            rule: "value-shape",
+                            code: "keyframe-value-length",
+                            params: {length: data.s.length, expected: first_kf.s.length},
+                            instancePath: data_cxt.instancePath + "/s",
+                            parentSchema: parent_schema,
+                        });
+                    }
+
+                    if ( index > 0 )
+                    {
+                        var prev_kf = data_cxt.parentData[index-1];
+                        if ( keyframe_has_t(prev_kf) && typeof data.t == "number" )
+                        {
+                            if ( data.t < prev_kf.t )
+                            {
+                                validate_keyframe.errors.push({
+                                    keyword: "keyframe",
+                                    type: "error",
+                                    rule: "keyframe-order",
+                                    code: "keyframe-order",
+                                    params: {t: data.t, previous_t: prev_kf.t},
+                                    instancePath: data_cxt.instancePath,
+                                    parentSchema: parent_schema,
+                                });
+                            }
+                            else if ( data.t == prev_kf.t && index > 1 )
+                            {
+                                var prev_prev = data_cxt.parentData[index-2];
+                                if ( keyframe_has_t(prev_prev) && data.t == prev_prev.t )
+                                {
+                                    validate_keyframe.errors.push({
+                                        keyword: "keyframe",
+                                        type: "error",
+                                        rule: "keyframe-order",
+                                        code: "keyframe-duplicate-time",
+                                        params: {t: data.t},
+                                        instancePath: data_cxt.instancePath,
+                                        parentSchema: parent_schema,
+                                    });
+                                }
+                            }
+                        }
+                    }
+
+                    return validate_keyframe.errors.length == 0;
+                }
+            },
+            // Bezier vertices and tangents must match
+            {
+                keyword: "bezier_points",
+                validate: function validate_bezier(schema, data, parent_schema, data_cxt)
+                {
+                    validate_bezier.errors = [];
+
+                    if ( typeof data != "object" || data === null || !Array.isArray(data.v) )
+                        return true;
+
+                    for ( let prop of ["i", "o"] )
+                    {
+                        if ( Array.isArray(data[prop]) && data[prop].length != data.v.length )
+                        {
+                            validate_bezier.errors.push({
+                                keyword: "bezier_points",
+                                type: "error",
+                                rule: "value-shape",
+                                code: "bezier-length-mismatch",
+                                params: {property: prop, length: data[prop].length, expected: data.v.length},
+                                instancePath: data_cxt.instancePath + "/" + prop,
+                                parentSchema: parent_schema.properties[prop],
+                            });
+                        }
+                    }
+
+                    return validate_bezier.errors.length == 0;
+                },
+            },
+            // Gradient values must match the number of color stops
+            {
+                keyword: "gradient_stops",
+                validate: function validate_gradient(schema, data, parent_schema, data_cxt)
+                {
+                    validate_gradient.errors = [];
+
+                    if ( typeof data != "object" || data === null || typeof data.p != "number" )
+                        return true;
+
+                    let values = [];
+                    if ( typeof data.k == "object" && data.k !== null )
+                    {
+                        if ( data.k.a === 1 && Array.isArray(data.k.k) )
+                            data.k.k.forEach((kf, i) => values.push([kf?.s, `/k/k/${i}/s`]));
+                        else
+                            values.push([data.k.k, "/k/k"]);
+                    }
+
+                    // Color stops have 4 components, optionally followed by transparency stops with 2
+                    let color_length = data.p * 4;
+                    for ( let [value, path] of values )
+                    {
+                        if ( !Array.isArray(value) )
+                            continue;
+
+                        if ( value.length < color_length || (value.length - color_length) % 2 != 0 )
+                        {
+                            validate_gradient.errors.push({
+                                keyword: "gradient_stops",
+                                type: "error",
+                                rule: "value-shape",
+                                code: "gradient-length-mismatch",
+                                params: {length: value.length, color_stops: data.p},
+                                instancePath: data_cxt.instancePath + path,
+                                parentSchema: parent_schema.properties.k,
+                            });
+                        }
+                    }
+
+                    return validate_gradient.errors.length == 0;
+                },
+            },
+            // More user-friendly error for enums
+            {
+                keyword: "enum_oneof",
+                validate: function validate_enum(schema, data, parent_schema, data_cxt)
+                {
+                    validate_enum.errors = [];
+                    for ( let value of schema )
+                        if ( value.const === data )
+                            return true;
+
+                    validate_enum.errors.push({
+                        keyword: "enum_oneof",
+                        type: "error",
+                        rule: "invalid-enum",
+                        code: "invalid-enum",
+                        params: {value: data, allowed: schema.map(value => value.const)},
+                        instancePath: data_cxt.instancePath,
+                        parentSchema: parent_schema,
+                    });
+                    return false;
+                },
+            },
+            // Validate layers refId point to valid assets
+            {
+                keyword: "reference_asset",
+                validate: function validate_asset_reference(schema, data, parent_schema, data_ctx)
+                {
+                    validate_asset_reference.errors = [];
+
+                    if ( Array.isArray(data_ctx.rootData.assets) )
+                    {
+                        for ( let asset of data_ctx.rootData.assets )
+                        {
+                            if ( asset.id === data )
+                            {
+                                let asset_ref = self.get_asset_ref(asset);
+                                if ( asset_ref == schema )
+                                    return true;
+
+                                let expected = schema.split("/").pop();
+                                let found = asset_ref.split("/").pop();
+                                validate_asset_reference.errors.push({
+                                    keyword: "reference_asset",
+                                    type: "error",
+                                    rule: "asset-reference",
+                                    code: "asset-type-mismatch",
+                                    params: {value: data, expected: expected, actual: found},
+                                    instancePath: data_ctx.instancePath,
+                                    parentSchema: parent_schema,
+                                });
+                                return false;
+                            }
+                        }
+                    }
+
+                    validate_asset_reference.errors.push({
+                        keyword: "reference_asset",
+                        type: "error",
+                        rule: "asset-reference",
+                        code: "unknown-asset-ref",
+                        params: {value: data},
+                        instancePath: data_ctx.instancePath,
+                        parentSchema: parent_schema,
+                    });
+                    return false;
+                },
+            },
+            // Validate `sid` points to a slot with a compatible value
+            {
+                keyword: "slot_reference",
+                validate: function validate_slot_reference(schema, data, parent_schema, data_ctx)
+                {
+                    validate_slot_reference.errors = [];
+
+                    if ( typeof data != "object" || data === null || typeof data.sid != "string" )
+                        return true;
+
+                    let slots = data_ctx.rootData.slots;
+                    if ( typeof slots != "object" || slots === null || !Object.prototype.hasOwnProperty.call(slots, data.sid) )
+                    {
+                        validate_slot_reference.errors.push({
+                            keyword: "slot_reference",
+                            type: "error",
+                            rule: "slot-reference",
+                            code: "unknown-slot",
+                            params: {sid: data.sid},
+                            instancePath: data_ctx.instancePath + "/sid",
+                            parentSchema: parent_schema,
+                        });
+                        return false;
+                    }
+
+                    // Slot values may have a `sid` themselves, avoid following loops
+                    let slot = slots[data.sid];
+                    if ( typeof slot != "object" || slot === null || slot.p === undefined || resolving_slots.has(data.sid) )
+                        return true;
+
+                    let validate = this.getSchema(schema);
+                    resolving_slots.add(data.sid);
+                    let valid = validate(slot.p, {rootData: data_ctx.rootData});
+                    resolving_slots.delete(data.sid);
+
+                    if ( !valid )
+                    {
+                        validate_slot_reference.errors.push({
+                            keyword: "slot_reference",
+                            type: "error",
+                            rule: "slot-reference",
+                            code: "invalid-slot-value",
+                            params: {sid: data.sid},
+                            instancePath: data_ctx.instancePath + "/sid",
+                            parentSchema: parent_schema,
+                        });
+                        return false;
+                    }
+
+                    return true;
+                },
+            },
+            // Adds warnings for unknown properties
+            {
+                keyword: "warn_extra_props",
+                validate: function warn_extra_props(schema, data, parent_schema, data_cxt)
+                {
+                    warn_extra_props.errors = [];
+
+                    if ( typeof data != "object" || data === null )
+                        return true;
+
+                    let known = known_properties.get(schema);
+                    if ( !known )
+                    {
+                        known = new Set(schema);
+                        known_properties.set(schema, known);
+                    }
+
+                    for ( let prop of Object.keys(data) )
+                    {
+                        if ( !known.has(prop) )
+                        {
+                            let suggestion = closest_match(prop, schema.filter(known => !(known in data)));
+                            warn_extra_props.errors.push({
+                                keyword: "warn_extra_props",
+                                type: "warning",
+                                rule: "unknown-property",
+                                code: "unknown-property",
+                                params: {property: prop, suggestion: suggestion},
+                                warning: "property",
+                                instancePath: data_cxt.instancePath + "/" + escape_json_pointer(prop),
+                                parentSchema: parent_schema,
+                            });
+                        }
+                    }
+
+                    return warn_extra_props.errors.length == 0;
+                },
+            },
+        ];
+    }
+
+    /**
+     * \returns the $ref link of an asset based on its data (to determine the right validator)
+     */
+    get_asset_ref(data)
+    {
+        if ( "layers" in data )
+            return "#/$defs/assets/precomposition";
+        return "#/$defs/assets/image";
+
+    }
+
+    /**
+     * \brief Applies common patches to a schema object
+     * \param cat Category slug
+     * \param obj Class slug
+     * \param ref $ref for the object
+     * \param obj_schema Class schema
+     * \param cat_docs Category docs link
+     * \param cat_name Category title
+     */
+    patch_object(cat, obj, ref, obj_schema, cat_docs, cat_name)
+    {
+        let obj_docs = cat_docs;
+        let obj_name = cat_name;
+        if ( obj_schema.type && obj != "base-gradient" )
+        {
+            obj_docs += "#" + obj;
+            obj_name = obj_schema.title || kebab_to_title(obj);
+        }
+        patch_docs_links(obj_schema, obj_docs, obj_name, obj_name);
+    }
+
+    /**
+     * \brief Adds `ty`-based validation on `all-*` schemas
+     */
+    _patch_ty_schema(id_base, category, all)
+    {
+
+        let found = {};
+        for ( let [name, sub_schema] of Object.entries(this.defs[category]) )
+        {
+            let ty = extract_schema_ty(sub_schema);
+            if ( ty !== undefined )
+            {
+                let id = `${id_base}#/$defs/${category}/${name}`;
+                found[ty] = {
+                    id: id
+                };
+            }
+        }
+        this.defs[category][all].ty_oneof = found;
+        delete this.defs[category][all].oneOf;
+
+        return found;
+    }
+
+    /**
+     * \brief Patches animated property validation to validate based on `a: 0` or `a: 1`
+     */
+    _patch_property_schema(schema, id)
+    {
+        if ( id.endsWith("gradient-property") )
+        {
+            if ( schema.properties.k.$ref )
+                return schema;
+            return this._patch_property_schema(schema.properties.k, id + "/properties/k");
+        }
+
+
+        if ( id.endsWith("splittable-position-property") )
+        {
+            delete schema.oneOf;
+            schema.splitpos_oneof = {
+                [true]: {id: this.schema["$id"] + "#/$defs/properties/split-position"},
+                [false]: {id: this.schema["$id"] + "#/$defs/properties/position-property"},
+            };
+
+            return;
+        }
+
+        schema.prop_oneof = [];
+        for ( let opt of schema.oneOf )
+        {
+            schema.prop_oneof.push({
+                schema: {
+                    type: "object",
+                    ...opt
+                },
+                id: id + "/prop_oneof/" + schema.prop_oneof.length + "/schema",
+            });
+        }
+        delete schema.oneOf;
+    }
+
+    /**
+     * \brief Replaces the remaining `oneOf` and `anyOf` with `union_oneof`
+     *
+     * Ajv reports the errors from every branch of a failed union,
+     * `union_oneof` only reports the ones from the branch that was most likely intended.
+     *
+     * \param schema Schema to patch, recursively
+     * \param id Id of \p schema
+     */
+    _patch_union_schema(schema, id)
+    {
+        if ( typeof schema != "object" || schema === null )
+            return;
+
+        if ( Array.isArray(schema) )
+        {
+            for ( let i = 0; i < schema.length; i++ )
+                this._patch_union_schema(schema[i], id + "/" + i);
+            return;
+        }
+
+        let keyword = "oneOf" in schema ? "oneOf" : "anyOf" in schema ? "anyOf" : null;
+        if ( keyword )
+        {
+            schema.union_oneof = {
+                keyword: keyword,
+                options: schema[keyword].map((option, index) => ({
+                    schema: option,
+                    id: id + "/union_oneof/options/" + index + "/schema",
+                })),
+            };
+            delete schema[keyword];
+        }
+
+        for ( let [name, sub_schema] of Object.entries(schema) )
+        {
+            if ( name == "properties" )
+            {
+                for ( let [prop_name, prop] of Object.entries(sub_schema) )
+                    this._patch_union_schema(prop, id + "/properties/" + escape_json_pointer(prop_name));
+            }
+            // These contain values rather than schemas
+            else if ( !["const", "enum", "enum_oneof", "default", "examples", "ty_oneof", "warn_extra_props"].includes(name) )
+            {
+                this._patch_union_schema(sub_schema, id + "/" + escape_json_pointer(name));
+            }
+        }
+    }
+
+    /**
+     * \brief Runs checks that can't be expressed in the schema
+     * \param data Top-level object being validated
+     * \returns Array of errors in the same format as Ajv errors
+     */
+    _semantic_errors(data)
+    {
+        let errors = [];
+
+        if ( typeof data != "object" || data === null )
+            return errors;
+
+        for_each_layer_list(data, (layers, path) => {
+            this._validate_layer_hierarchy(layers, path, errors);
+            this._validate_mattes(layers, path, errors);
+        });
+        this._validate_precomposition_references(data, errors);
+        this._validate_timeline(data, errors);
+        this._validate_embedded_images(data, errors);
+        this._validate_unused_slots(data, errors);
+        errors.push(...this._find_unused_content(data).filter(item => !item.strip_only));
+
+        return errors;
+    }
+
+    /**
+     * \brief Checks `ind` and `parent` within a single list of layers
+     * \param layers Array of layers
+     * \param path JSON path to \p layers
+     * \param errors Array to append errors to
+     */
+    _validate_layer_hierarchy(layers, path, errors)
+    {
+        let layer_props = this.defs.layers.layer.allOf[1].properties;
+        let by_index = new Map();
+
+        for ( let i = 0; i < layers.length; i++ )
+        {
+            let layer = layers[i];
+            if ( typeof layer != "object" || layer === null || typeof layer.ind != "number" )
+                continue;
+
+            if ( by_index.has(layer.ind) )
+            {
+                errors.push({
+                    type: "error",
+                    rule: "layer-index",
+                    code: "duplicate-layer-index",
+                    params: {ind: layer.ind, other_path: `${path}/${by_index.get(layer.ind)}`},
+                    instancePath: `${path}/${i}/ind`,
+                    parentSchema: layer_props.ind,
+                });
+                continue;
+            }
+
+            by_index.set(layer.ind, i);
+        }
+
+        // Layers already known to be part of a parent loop, to report each loop once
+        let in_loop = new Set();
+
+        for ( let i = 0; i < layers.length; i++ )
+        {
+            let layer = layers[i];
+            if ( typeof layer != "object" || layer === null || typeof layer.parent != "number" )
+                continue;
+
+            if ( !by_index.has(layer.parent) )
+            {
+                errors.push({
+                    type: "error",
+                    rule: "layer-parent",
+                    code: "unknown-parent",
+                    params: {parent: layer.parent},
+                    instancePath: `${path}/${i}/parent`,
+                    parentSchema: layer_props.parent,
+                });
+                continue;
+            }
+
+            if ( in_loop.has(i) )
+                continue;
+
+            // Follow the parent chain until it ends or revisits a layer
+            let chain = [i];
+            let index = by_index.get(layer.parent);
+            while ( true )
+            {
+                let loop_start = chain.indexOf(index);
+                if ( loop_start != -1 )
+                {
+                    let loop = chain.slice(loop_start);
+                    if ( loop.some(j => in_loop.has(j)) )
+                        break;
+
+                    for ( let j of loop )
+                        in_loop.add(j);
+
+                    let indices = loop.concat([index]).map(j => layers[j].ind);
+                    errors.push({
+                        type: "error",
+                        rule: "layer-parent",
+                        code: "parent-loop",
+                        params: {indices: indices},
+                        instancePath: `${path}/${index}/parent`,
+                        parentSchema: layer_props.parent,
+                    });
+                    break;
+                }
+
+                let parent = layers[index].parent;
+                if ( typeof parent != "number" || !by_index.has(parent) )
+                    break;
+
+                chain.push(index);
+                index = by_index.get(parent);
+            }
+        }
+    }
+
+    /**
+     * \brief Checks track matte references within a single list of layers
+     * \param layers Array of layers
+     * \param path JSON path to \p layers
+     * \param errors Array to append errors to
+     */
+    _validate_mattes(layers, path, errors)
+    {
+        let layer_props = this.defs.layers["visual-layer"].allOf[1].properties;
+        let by_index = index_layers(layers);
+
+        for ( let i = 0; i < layers.length; i++ )
+        {
+            let layer = layers[i];
+            if ( typeof layer != "object" || layer === null )
+                continue;
+
+            let has_matte = typeof layer.tt == "number" && layer.tt != 0;
+
+            if ( typeof layer.tp == "number" && !has_matte )
+            {
+                errors.push({
+                    type: "warning",
+                    rule: "track-matte",
+                    code: "matte-without-mode",
+                    params: {tp: layer.tp},
+                    instancePath: `${path}/${i}/tp`,
+                    parentSchema: layer_props.tp,
+                });
+                continue;
+            }
+
+            if ( !has_matte )
+                continue;
+
+            let matte_index;
+            if ( typeof layer.tp == "number" )
+            {
+                if ( layer.tp === layer.ind )
+                {
+                    errors.push({
+                        type: "error",
+                        rule: "track-matte",
+                        code: "matte-self-reference",
+                        params: {tp: layer.tp},
+                        instancePath: `${path}/${i}/tp`,
+                        parentSchema: layer_props.tp,
+                    });
+                    continue;
+                }
+
+                matte_index = by_index.get(layer.tp);
+                if ( matte_index === undefined )
+                {
+                    errors.push({
+                        type: "error",
+                        rule: "track-matte",
+                        code: "unknown-matte",
+                        params: {tp: layer.tp},
+                        instancePath: `${path}/${i}/tp`,
+                        parentSchema: layer_props.tp,
+                    });
+                    continue;
+                }
+            }
+            else
+            {
+                // Without `tp` the matte is the layer above
+                if ( i == 0 )
+                {
+                    errors.push({
+                        type: "error",
+                        rule: "track-matte",
+                        code: "missing-matte-layer",
+                        instancePath: `${path}/${i}/tt`,
+                        parentSchema: layer_props.tt,
+                    });
+                    continue;
+                }
+                matte_index = i - 1;
+            }
+
+            // Schemas without `td` have no way to mark the matte source
+            let matte = layers[matte_index];
+            if ( "td" in layer_props && typeof matte == "object" && matte !== null && matte.td !== 1 )
+            {
+                errors.push({
+                    type: "warning",
+                    rule: "track-matte",
+                    code: "matte-not-marked",
+                    params: {matte_path: `${path}/${matte_index}`},
+                    instancePath: `${path}/${i}/${typeof layer.tp == "number" ? "tp" : "tt"}`,
+                    parentSchema: typeof layer.tp == "number" ? layer_props.tp : layer_props.tt,
+                });
+            }
+        }
+    }
+
+    /**
+     * \brief Warns about slots that no object refers to
+     * \param data Top-level object being validated
+     * \param errors Array to append errors to
+     */
+    _validate_unused_slots(data, errors)
+    {
+        if ( typeof data.slots != "object" || data.slots === null )
+            return;
+
+        let used = new Set();
+        for ( let [key, value] of Object.entries(data) )
+        {
+            if ( key != "slots" )
+                for_each_object(value, "/" + key, obj => { if ( typeof obj.sid == "string" ) used.add(obj.sid); });
+        }
+
+        // Slot values can refer to other slots
+        for ( let [sid, slot] of Object.entries(data.slots) )
+        {
+            for_each_object(slot, "/slots/" + escape_json_pointer(sid), obj => {
+                if ( typeof obj.sid == "string" && obj.sid != sid )
+                    used.add(obj.sid);
+            });
+        }
+
+        for ( let sid of Object.keys(data.slots) )
+        {
+            if ( !used.has(sid) )
+            {
+                errors.push({
+                    type: "warning",
+                    rule: "unused-slot",
+                    code: "unused-slot",
+                    params: {sid: sid},
+                    instancePath: "/slots/" + escape_json_pointer(sid),
+                    parentSchema: this.defs.helpers.slot,
+                });
+            }
+        }
+    }
+
+    /**
+     * \brief Checks in and out points, keyframe times and markers are consistent
+     * \param data Top-level object being validated
+     * \param errors Array to append errors to
+     */
+    _validate_timeline(data, errors)
+    {
+        let animation_schema = this.defs.composition.animation;
+        let layer_props = this.defs.layers.layer.allOf[1].properties;
+        let has_range = obj => typeof obj.ip == "number" && typeof obj.op == "number";
+
+        if ( has_range(data) && data.ip >= data.op )
+        {
+            errors.push({
+                type: "error",
+                rule: "timeline",
+                code: "invalid-time-range",
+                params: {ip: data.ip, op: data.op},
+                instancePath: "/op",
+                parentSchema: this._property_schema(animation_schema, "op"),
+            });
+        }
+
+        for_each_layer_list(data, (layers, path) => {
+            for ( let i = 0; i < layers.length; i++ )
+            {
+                let layer = layers[i];
+                if ( typeof layer != "object" || layer === null || !has_range(layer) )
+                    continue;
+
+                let layer_path = `${path}/${i}`;
+                if ( layer.ip >= layer.op )
+                {
+                    errors.push({
+                        type: "error",
+                        rule: "timeline",
+                        code: "invalid-time-range",
+                        params: {ip: layer.ip, op: layer.op},
+                        instancePath: layer_path + "/op",
+                        parentSchema: layer_props.op,
+                    });
+                    continue;
+                }
+
+                // Layers in precompositions are in the time of the precomposition layer using them
+                if ( path == "/layers" && has_range(data) && data.ip < data.op && (layer.op <= data.ip || layer.ip >= data.op) )
+                {
+                    errors.push({
+                        type: "warning",
+                        rule: "timeline",
+                        code: "layer-outside-composition",
+                        params: {ip: layer.ip, op: layer.op, composition_ip: data.ip, composition_op: data.op},
+                        instancePath: layer_path + "/ip",
+                        parentSchema: layer_props.ip,
+                    });
+                }
+
+                // Keyframes a little outside the layer range affect interpolation, far away ones are likely a mistake
+                let duration = layer.op - layer.ip;
+                let start = layer.ip - duration;
+                let end = layer.op + duration;
+                for_each_object(layer, layer_path, (obj, obj_path) => {
+                    if ( obj.a !== 1 || !Array.isArray(obj.k) )
+                        return;
+
+                    let index = obj.k.findIndex(kf => keyframe_has_t(kf) && (kf.t < start || kf.t > end));
+                    if ( index == -1 )
+                        return;
+
+                    errors.push({
+                        type: "warning",
+                        rule: "timeline",
+                        code: "keyframe-outside-layer",
+                        params: {t: obj.k[index].t, ip: layer.ip, op: layer.op},
+                        instancePath: `${obj_path}/k/${index}/t`,
+                        parentSchema: this._property_schema(this.defs.properties["base-keyframe"], "t"),
+                    });
+                });
+            }
+        });
+
+        if ( Array.isArray(data.markers) && has_range(data) )
+        {
+            let marker_schema = this.defs.helpers.marker;
+            for ( let i = 0; i < data.markers.length; i++ )
+            {
+                let marker = data.markers[i];
+                if ( typeof marker != "object" || marker === null || typeof marker.tm != "number" )
+                    continue;
+
+                let duration = typeof marker.dr == "number" ? marker.dr : 0;
+                if ( marker.tm < data.ip || marker.tm > data.op )
+                {
+                    errors.push({
+                        type: "warning",
+                        rule: "timeline",
+                        code: "marker-outside-animation",
+                        params: {property: "tm", tm: marker.tm, dr: duration, ip: data.ip, op: data.op},
+                        instancePath: `/markers/${i}/tm`,
+                        parentSchema: marker_schema.properties.tm,
+                    });
+                }
+                else if ( duration < 0 || marker.tm + duration > data.op )
+                {
+                    errors.push({
+                        type: "warning",
+                        rule: "timeline",
+                        code: "marker-outside-animation",
+                        params: {property: "dr", tm: marker.tm, dr: duration, ip: data.ip, op: data.op},
+                        instancePath: `/markers/${i}/dr`,
+                        parentSchema: marker_schema.properties.dr,
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * \brief Checks embedded images can be decoded and match the asset properties
+     * \param data Top-level object being validated
+     * \param errors Array to append errors to
+     */
+    _validate_embedded_images(data, errors)
+    {
+        if ( !Array.isArray(data.assets) )
+            return;
+
+        let image_schema = this.defs.assets.image;
+        let file_schema = this._property_schema(image_schema, "p");
+
+        for ( let i = 0; i < data.assets.length; i++ )
+        {
+            let asset = data.assets[i];
+            if ( typeof asset != "object" || asset === null || "layers" in asset || typeof asset.p != "string" )
+                continue;
+
+            let path = `/assets/${i}`;
+            let error = (type, code, params, property="p") => errors.push({
+                type: type,
+                rule: "embedded-image",
+                code: code,
+                params: params,
+                instancePath: `${path}/${property}`,
+                parentSchema: property == "p" ? file_schema : this._property_schema(image_schema, property),
+            });
+
+            let decoded = decode_data_url(asset.p);
+            if ( decoded === null )
+                continue;
+
+            if ( decoded.error )
+            {
+                error("error", "invalid-data-url", {mime: decoded.mime, encoding: decoded.error});
+                continue;
+            }
+
+            if ( this.max_image_bytes && decoded.bytes.length > this.max_image_bytes )
+            {
+                error("warning", "image-too-large", {bytes: decoded.bytes.length, limit: this.max_image_bytes});
+            }
+
+            let image = sniff_image(decoded.bytes);
+            if ( image === null )
+            {
+                error("error", "unknown-image-format", {mime: decoded.mime});
+                continue;
+            }
+
+            // `image/jpg` is common enough to be accepted
+            let mime = decoded.mime == "image/jpg" ? "image/jpeg" : decoded.mime;
+            if ( mime != image.mime )
+            {
+                error("error", "image-mime-mismatch", {declared: decoded.mime, detected: image.mime});
+            }
+
+            for ( let [prop, actual] of [["w", image.width], ["h", image.height]] )
+            {
+                if ( actual !== undefined && typeof asset[prop] == "number" && asset[prop] != actual )
+                {
+                    error(
+                        "warning", "image-size-mismatch",
+                        {value: asset[prop], actual: actual, width: image.width, height: image.height}, prop
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * \brief Finds assets, layers and shapes that don't affect the rendered animation
+     * \param data Top-level object being validated
+     * \returns Array of errors in the same format as Ajv errors, with \c target as the JSON path
+     *          of the object to remove, and \c strip_only for objects already reported by other checks
+     */
+    _find_unused_content(data)
+    {
+        let unused = [];
+        let layer_props = this.defs.layers.layer.allOf[1].properties;
+        let opacity_schema = this._property_schema(this.defs.helpers.transform, "o");
+        let unused_layers = new Set();
+        let has_range = obj => typeof obj.ip == "number" && typeof obj.op == "number";
+
+        for_each_layer_list(data, (layers, path) => {
+            let by_index = index_layers(layers);
+
+            // Layers affecting other layers are needed even if they aren't visible themselves
+            let used = new Set();
+            for ( let i = 0; i < layers.length; i++ )
+            {
+                let layer = layers[i];
+                if ( typeof layer != "object" || layer === null )
+                    continue;
+
+                if ( by_index.has(layer.parent) )
+                    used.add(by_index.get(layer.parent));
+                if ( layer.td === 1 )
+                    used.add(i);
+                if ( typeof layer.tt == "number" && layer.tt != 0 )
+                {
+                    if ( typeof layer.tp == "number" )
+                        used.add(by_index.get(layer.tp));
+                    else
+                        used.add(i - 1);
+                }
+            }
+
+            for ( let i = 0; i < layers.length; i++ )
+            {
+                let layer = layers[i];
+                // Null layers are never visible by design
+                if ( typeof layer != "object" || layer === null || layer.ty === 3 || used.has(i) )
+                    continue;
+
+                let item = {
+                    type: "warning",
+                    rule: "unused-content",
+                    target: `${path}/${i}`,
+                };
+
+                let opacity = layer.ks?.o;
+                if ( layer.hd === true )
+                {
+                    Object.assign(item, {
+                        code: "hidden-layer",
+                        instancePath: `${path}/${i}/hd`,
+                        parentSchema: layer_props.hd,
+                    });
+                }
+                else if ( opacity?.a === 0 && (opacity.k === 0 || (Array.isArray(opacity.k) && opacity.k[0] === 0)) )
+                {
+                    Object.assign(item, {
+                        code: "transparent-layer",
+                        instancePath: `${path}/${i}/ks/o`,
+                        parentSchema: opacity_schema,
+                    });
+                }
+                else if ( path == "/layers" && has_range(layer) && has_range(data) && (layer.op <= data.ip || layer.ip >= data.op) )
+                {
+                    // Already reported by the timeline checks
+                    item.strip_only = true;
+                }
+                else
+                {
+                    continue;
+                }
+
+                unused.push(item);
+                unused_layers.add(layer);
+            }
+
+            // The group transform is expected to be the last item, anything after it is ignored
+            for ( let i = 0; i < layers.length; i++ )
+            {
+                if ( !Array.isArray(layers[i]?.shapes) )
+                    continue;
+
+                for_each_shape(layers[i].shapes, `${path}/${i}/shapes`, (shape, shape_path) => {
+                    if ( shape.ty != "gr" || !Array.isArray(shape.it) )
+                        return;
+
+                    let transform = shape.it.findIndex(item => item?.ty == "tr");
+                    if ( transform == -1 )
+                        return;
+
+                    for ( let j = transform + 1; j < shape.it.length; j++ )
+                    {
+                        let item = shape.it[j];
+                        unused.push({
+                            type: "warning",
+                            rule: "unused-content",
+                            code: "shape-after-transform",
+                            instancePath: `${shape_path}/it/${j}`,
+                            parentSchema: typeof item == "object" && item !== null ? this._ty_schema("shapes", item, "unknown-shape") : this.defs.shapes["graphic-element"],
+                            target: `${shape_path}/it/${j}`,
+                        });
+                    }
+                });
+            }
+        });
+
+        if ( Array.isArray(data.assets) )
+        {
+            let assets = new Map();
+            for ( let asset of data.assets )
+            {
+                if ( typeof asset == "object" && asset !== null && !assets.has(asset.id) )
+                    assets.set(asset.id, asset);
+            }
+
+            // Follow references from the visible layers
+            let reachable = new Set();
+            let visit = (layers) => {
+                for ( let layer of layers )
+                {
+                    if ( typeof layer != "object" || layer === null || unused_layers.has(layer) || !assets.has(layer.refId) )
+                        continue;
+
+                    let asset = assets.get(layer.refId);
+                    if ( reachable.has(asset) )
+                        continue;
+
+                    reachable.add(asset);
+                    if ( Array.isArray(asset.layers) )
+                        visit(asset.layers);
+                }
+            };
+            if ( Array.isArray(data.layers) )
+                visit(data.layers);
+
+            for ( let i = 0; i < data.assets.length; i++ )
+            {
+                let asset = data.assets[i];
+                if ( typeof asset != "object" || asset === null || reachable.has(asset) )
+                    continue;
+
+                unused.push({
+                    type: "warning",
+                    rule: "unused-content",
+                    code: "unused-asset",
+                    params: {id: asset.id},
+                    instancePath: `/assets/${i}/id`,
+                    parentSchema: this._property_schema(this.defs.assets[this.get_asset_ref(asset).split("/").pop()], "id"),
+                    target: `/assets/${i}`,
+                });
+            }
+        }
+
+        return unused;
+    }
+
+    /**
+     * \brief Removes unused content from the document
+     *
+     * Removes assets not used by visible layers, layers that are never visible,
+     * shapes after group transforms and unused slots.
+     *
+     * \param data Object or JSON string to strip, objects are not modified
+     * \returns Object with the stripped \c data (\b null if \p data is not valid JSON)
+     *          and the list of \c changes applied
+     */
+    strip_unused(data)
+    {
+        if ( typeof data == "string" )
+        {
+            try {
+                data = JSON.parse(data);
+            } catch(e) {
+                return {data: null, changes: []};
+            }
+        }
+        else
+        {
+            data = JSON.parse(JSON.stringify(data));
+        }
+
+        if ( this._versioned_validators )
+            return this.validator_for(data).strip_unused(data);
+
+        let changes = [];
+        if ( typeof data != "object" || data === null )
+            return {data: data, changes: changes};
+
+        let messages = {
+            "hidden-layer": "Removed hidden layer",
+            "transparent-layer": "Removed transparent layer",
+            "shape-after-transform": "Removed shape after the group transform",
+            "unused-asset": "Removed unused asset",
+            "unused-slot": "Removed unused slot",
+        };
+
+        // Removing layers can leave more assets unused
+        for ( let pass = 0; pass < 10; pass++ )
+        {
+            let slots = [];
+            this._validate_unused_slots(data, slots);
+
+            let items = this._find_unused_content(data).concat(slots)
+                .filter(item => this._error_severity(item) != "off");
+            if ( items.length == 0 )
+                break;
+
+            // Resolve all the paths before removing anything so they stay valid
+            let removals = items.map(item => {
+                let path = item.target ?? item.instancePath;
+                let [parent, key] = resolve_json_pointer(data, path);
+                return {path: path, parent: parent, key: key, message: messages[item.code] ?? "Removed layer outside the animation range"};
+            }).filter(removal => removal.parent !== undefined);
+
+            let by_parent = new Map();
+            for ( let removal of removals )
+            {
+                if ( !by_parent.has(removal.parent) )
+                    by_parent.set(removal.parent, new Set());
+                by_parent.get(removal.parent).add(removal.key);
+            }
+
+            for ( let [parent, keys] of by_parent )
+            {
+                if ( Array.isArray(parent) )
+                {
+                    // Items are removed from the end so the other indices in the same array are not affected
+                    let indices = Array.from(keys, Number).sort((a, b) => b - a);
+                    for ( let index of indices )
+                        parent.splice(index, 1);
+                }
+                else
+                {
+                    for ( let key of keys )
+                        delete parent[key];
+                }
+            }
+
+            removals.sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+            for ( let removal of removals )
+                changes.push({path: removal.path, message: removal.message});
+        }
+
+        return {data: data, changes: changes};
+    }
+
+    /**
+     * \brief Checks precomposition assets don't include themselves, directly or through other precompositions
+     * \param data Top-level object being validated
+     * \param errors Array to append errors to
+     */
+    _validate_precomposition_references(data, errors)
+    {
+        if ( !Array.isArray(data.assets) )
+            return;
+
+        let precomps = new Map();
+        for ( let i = 0; i < data.assets.length; i++ )
+        {
+            let asset = data.assets[i];
+            if ( typeof asset == "object" && asset !== null && Array.isArray(asset.layers) && !precomps.has(asset.id) )
+                precomps.set(asset.id, i);
+        }
+
+        let ref_schema = this.defs.layers["precomposition-layer"].allOf[1].properties.refId;
+        // 1 while the asset is being visited, 2 once all its references have been followed
+        let state = new Map();
+        let stack = [];
+
+        let visit = (asset_index) => {
+            state.set(asset_index, 1);
+            stack.push(asset_index);
+
+            let layers = data.assets[asset_index].layers;
+            for ( let i = 0; i < layers.length; i++ )
+            {
+                let layer = layers[i];
+                if ( typeof layer != "object" || layer === null || layer.ty !== 0 || !precomps.has(layer.refId) )
+                    continue;
+
+                let target = precomps.get(layer.refId);
+                if ( state.get(target) === 1 )
+                {
+                    let ids = stack.slice(stack.indexOf(target)).concat([target]).map(j => data.assets[j].id);
+                    errors.push({
+                        type: "error",
+                        rule: "precomposition-loop",
+                        code: "precomposition-loop",
+                        params: {ids: ids},
+                        instancePath: `/assets/${asset_index}/layers/${i}/refId`,
+                        parentSchema: ref_schema,
+                    });
+                }
+                else if ( !state.has(target) )
+                {
+                    visit(target);
+                }
+            }
+
+            stack.pop();
+            state.set(asset_index, 2);
+        };
+
+        for ( let asset_index of precomps.values() )
+        {
+            if ( !state.has(asset_index) )
+                visit(asset_index);
+        }
+    }
+
+    /**
+     * \brief Checks all the rules configured in `rules` are built-in, error codes or have been registered with add_rule
+     *
+     * Validation ignores unknown ids in `rules`, call this after registering the custom rules
+     * to find configuration mistakes.
+     *
+     * \throws Error if a rule id isn't known
+     */
+    check_rules()
+    {
+        let known = Array.from(new Set(LottieValidator.builtin_rules.concat(this._rules.map(rule => rule.id), Object.keys(default_messages))));
+        for ( let id of Object.keys(this.rule_severity) )
+        {
+            if ( !known.includes(id) )
+            {
+                let suggestion = closest_match(id, known);
+                throw new Error(`Unknown rule ${id}` + (suggestion ? `, did you mean ${suggestion}?` : ""));
+            }
+        }
+    }
 
-                    var require_io = true;
-                    if ( data.h )
-                        require_io = false;
+    /**
+     * \brief Registers a custom rule, run on every validation after the schema checks
+     * \param rule Object with:
+     *      * \c id unique identifier for the rule, added to its errors as \c rule
+     *      * \c severity `"error"` (default) or `"warning"`
+     *      * \c visit object with callbacks for \c animation, \c layer, \c shape, \c asset and \c keyframe,
+     *        each called with the object, its JSON path and the top-level object.
+     *        They return nothing if the object is fine, otherwise a message or an object with
+     *        \c message and optionally \c property (name of the offending property), \c path and \c severity,
+     *        or an array of those.
+     * \throws Error if the rule is not valid
+     */
+    add_rule(rule)
+    {
+        if ( typeof rule?.id != "string" || !rule.id )
+            throw new Error("Rules must have a string id");
 
-                    var index = data_cxt.parentData.indexOf(data);
-                    if ( index == data_cxt.parentData.length - 1 )
-                        require_io = false;
+        if ( this._rules.some(r => r.id == rule.id) )
+            throw new Error(`There is already a rule with id ${rule.id}`);
 
-                    if ( require_io )
-                    {
-                        for ( var prop of "io" )
-                        {
-                            if ( !("i" in data) )
-                            {
-                                validate_keyframe.errors.push({
-                                    message: `must have required property 'i'`,
-                                    type: "error",
-                                    instancePath: data_cxt.instancePath,
-                                    parentSchema: parent_schema,
-                                });
-                            }
-                        }
-                    }
+        if ( rule.severity !== undefined && rule.severity != "error" && rule.severity != "warning" )
+            throw new Error(`Invalid severity for rule ${rule.id}: ${rule.severity}`);
 
-                    if ( index > 0 )
-                    {
-                        var prev_kf = data_cxt.parentData[index-1];
-                        if ( keyframe_has_t(prev_kf) && typeof data.t == "number" )
-                        {
-                            if ( data.t < prev_kf.t )
-                            {
-                                validate_keyframe.errors.push({
-                                    message: `keyframe 't' must be in ascending order`,
-                                    type: "error",
-                                    instancePath: data_cxt.instancePath,
-                                    parentSchema: parent_schema,
-                                });
-                            }
-                            else if ( data.t == prev_kf.t && index > 1 )
-                            {
-                                var prev_prev = data_cxt.parentData[index-2];
-                                if ( keyframe_has_t(prev_prev) && data.t == prev_prev.t )
-                                {
-                                    validate_keyframe.errors.push({
-                                        message: `there can be at most 2 keyframes with the same 't' value`,
-                                        type: "error",
-                                        instancePath: data_cxt.instancePath,
-                                        parentSchema: parent_schema,
-                                    });
-                                }
-                            }
-                        }
-                    }
+        if ( typeof rule.visit != "object" || rule.visit === null )
+            throw new Error(`Rule ${rule.id} must have a visit object`);
 
-                    return validate_keyframe.errors.length == 0;
-                }
-            },
-            // More user-friendly error for enums
+        for ( let [object_type, callback] of Object.entries(rule.visit) )
+        {
+            if ( !LottieValidator.rule_object_types.includes(object_type) )
+                throw new Error(`Rule ${rule.id} visits unknown object type ${object_type}`);
+            if ( typeof callback != "function" )
+                throw new Error(`Rule ${rule.id} visitor for ${object_type} must be a function`);
+        }
+
+        this._rules.push(rule);
+    }
+
+    /**
+     * \returns The schema describing an object within a `ty`-based category
+     * \param category Schema category (eg: `layers`)
+     * \param obj Object to find the schema for
+     * \param fallback Name of the schema to use for unknown types
+     */
+    _ty_schema(category, obj, fallback)
+    {
+        for ( let sub_schema of Object.values(this.defs[category]) )
+        {
+            if ( obj.ty !== undefined && extract_schema_ty(sub_schema) === obj.ty )
+                return sub_schema;
+        }
+        return this.defs[category][fallback];
+    }
+
+    /**
+     * \returns The schema for the property \p pname within the object schema, if any
+     */
+    _property_schema(schema, pname)
+    {
+        if ( typeof schema != "object" || schema === null )
+            return;
+
+        if ( schema.properties?.[pname] )
+            return schema.properties[pname];
+
+        if ( typeof schema.$ref == "string" && schema.$ref.startsWith("#/$defs/") )
+        {
+            let [category, name] = schema.$ref.substring(8).split("/");
+            let found = this._property_schema(this.defs[category]?.[name], pname);
+            if ( found )
+                return found;
+        }
+
+        for ( let prop of ["allOf", "oneOf", "anyOf"] )
+        {
+            for ( let sub_schema of schema[prop] ?? [] )
             {
-                keyword: "enum_oneof",
-                validate: function validate_enum(schema, data, parent_schema, data_cxt)
-                {
-                    validate_enum.errors = [];
-                    for ( let value of schema )
-                        if ( value.const === data )
-                            return true;
+                let found = this._property_schema(sub_schema, pname);
+                if ( found )
+                    return found;
+            }
+        }
+    }
 
-                    validate_enum.errors.push({
-                        message: `'${data}' is not a valid enumeration value`,
-                        type: "error",
-                        instancePath: data_cxt.instancePath,
-                        parentSchema: parent_schema,
-                    });
-                    return false;
-                },
-            },
-            // Validate layers refId point to valid assets
+    /**
+     * \returns The schema object for a `$ref` or the id of a patched sub-schema, if any
+     */
+    _schema_at(ref)
+    {
+        let pointer = ref.substring(ref.indexOf("#") + 1);
+        let schema = this.schema;
+        for ( let part of pointer.split("/").slice(1) )
+        {
+            if ( typeof schema != "object" || schema === null )
+                return;
+            schema = schema[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+        }
+        return schema;
+    }
+
+    /**
+     * \brief Finds all the schemas that apply to a value
+     *
+     * Follows `$ref` and `allOf`, and picks the branch of `ty`, `a` and `s`
+     * discriminators and of other unions based on the value, the same way validation does.
+     *
+     * \param schemas Array of schemas for the value
+     * \param value Value being described, might be \b undefined
+     * \returns Object with the array of \c schemas and the \c classes (`$defs` as `category/name`) they come from
+     */
+    _applicable_schemas(schemas, value)
+    {
+        let result = {schemas: [], classes: []};
+        let is_object = typeof value == "object" && value !== null && !Array.isArray(value);
+        let seen = new Set();
+
+        let visit = (schema) => {
+            if ( typeof schema != "object" || schema === null || seen.has(schema) )
+                return;
+            seen.add(schema);
+            result.schemas.push(schema);
+
+            if ( typeof schema.$ref == "string" )
             {
-                keyword: "reference_asset",
-                validate: function validate_asset_reference(schema, data, parent_schema, data_ctx)
-                {
-                    validate_asset_reference.errors = [];
+                let match = schema.$ref.match(/^#\/\$defs\/([^/]+)\/([^/]+)$/);
+                if ( match )
+                    result.classes.push(match[1] + "/" + match[2]);
+                visit(this._schema_at(schema.$ref));
+            }
 
-                    if ( Array.isArray(data_ctx.rootData.assets) )
-                    {
-                        for ( let asset of data_ctx.rootData.assets )
-                        {
-                            if ( asset.id === data )
-                            {
-                                // TODO: Validate asset type?
-                                return true;
-                            }
-                        }
-                    }
+            for ( let sub_schema of schema.allOf ?? [] )
+                visit(sub_schema);
 
-                    validate_asset_reference.errors.push({
-                        message: `${JSON.stringify(data)} is not a valid asset id`,
-                        type: "error",
-                        instancePath: data_ctx.instancePath,
-                        parentSchema: parent_schema,
-                    });
-                    return false;
-                },
-            },
-            // Adds warnings for unknown properties
+            if ( schema.ty_oneof && is_object && Object.hasOwn(schema.ty_oneof, value.ty) )
+                visit_id(schema.ty_oneof[value.ty].id);
+
+            if ( schema.prop_oneof && is_object && Object.hasOwn(schema.prop_oneof, value.a) )
+                visit_id(schema.prop_oneof[value.a].id);
+
+            if ( schema.splitpos_oneof && is_object && Object.hasOwn(schema.splitpos_oneof, value.s ?? false) )
+                visit_id(schema.splitpos_oneof[value.s ?? false].id);
+
+            if ( schema.asset_oneof && is_object )
+                visit_id(schema.asset_oneof + this.get_asset_ref(value));
+
+            if ( schema.union_oneof )
             {
-                keyword: "warn_extra_props",
-                validate: function warn_extra_props(schema, data, parent_schema, data_cxt)
+                let options = schema.union_oneof.options.map(option => option.schema);
+                visit(options.find(option => this._matches_json_type(option, value)) ?? options[0]);
+            }
+        };
+
+        let visit_id = (id) => {
+            let match = id.match(/#\/\$defs\/([^/]+)\/([^/]+)$/);
+            if ( match )
+                result.classes.push(match[1] + "/" + match[2]);
+            visit(this._schema_at(id));
+        };
+
+        schemas.forEach(visit);
+        return result;
+    }
+
+    /**
+     * \returns \b true if the JSON `type` of \p schema (or the schema it references) allows \p value
+     */
+    _matches_json_type(schema, value)
+    {
+        let type = schema.type;
+        if ( type === undefined && typeof schema.$ref == "string" )
+            type = this._schema_at(schema.$ref)?.type;
+        if ( type === undefined || value === undefined )
+            return true;
+
+        let value_type = json_type(value);
+        let types = Array.isArray(type) ? type : [type];
+        return types.includes(value_type) || (value_type == "integer" && types.includes("number"));
+    }
+
+    /**
+     * \brief Finds the schemas for the value at a JSON path
+     * \param data Top-level object
+     * \param path JSON path, object properties don't need to exist in \p data
+     * \param strict If \b false, \p path can also go past array items and values in \p data
+     * \returns Object with the \c value at \p path, the \c direct schemas for it
+     *          and the \c schemas and \c classes from _applicable_schemas,
+     *          or \b null if the path isn't described by the schema or isn't in \p data when \p strict
+     */
+    _resolve_path(data, path, strict=true)
+    {
+        let value = data;
+        let direct = [this.schema];
+        let applicable = this._applicable_schemas(direct, value);
+
+        let parts = path === "" ? [] : path.split("/").slice(1).map(part => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+        for ( let part of parts )
+        {
+            // Only properties that aren't set can be described, not array items or the contents of other values
+            if ( strict && value !== undefined )
+            {
+                if ( typeof value != "object" || value === null )
+                    return null;
+                if ( Array.isArray(value) && !(/^\d+$/.test(part) && Number(part) < value.length) )
+                    return null;
+            }
+
+            let child = [];
+            for ( let schema of applicable.schemas )
+            {
+                if ( Array.isArray(value) || (value === undefined && (schema.items || schema.prefixItems)) )
                 {
-                    warn_extra_props.errors = [];
+                    if ( !/^\d+$/.test(part) )
+                        continue;
+                    let item = schema.prefixItems?.[Number(part)] ?? schema.items;
+                    if ( typeof item == "object" )
+                        child.push(item);
+                }
+                else if ( schema.properties?.[part] )
+                {
+                    child.push(schema.properties[part]);
+                }
+                else if ( typeof schema.additionalProperties == "object" )
+                {
+                    child.push(schema.additionalProperties);
+                }
+            }
 
-                    if ( typeof data != "object" || data === null )
-                        return true;
+            if ( child.length == 0 )
+                return null;
 
-                    for ( let prop of Object.keys(data) )
-                    {
-                        if ( !schema.has(prop) )
-                        {
-                            warn_extra_props.errors.push({
-                                message: `has unknown property '${prop}'`,
-                                type: "warning",
-                                warning: "property",
-                                instancePath: data_cxt.instancePath + "/" + prop,
-                                parentSchema: parent_schema,
-                            });
-                        }
-                    }
+            value = typeof value == "object" && value !== null ? value[part] : undefined;
+            direct = child;
+            applicable = this._applicable_schemas(direct, value);
+        }
 
-                    return warn_extra_props.errors.length == 0;
-                },
-            },
-        ];
+        return {value: value, direct: direct, schemas: applicable.schemas, classes: applicable.classes};
     }
 
     /**
-     * \returns the $ref link of an asset based on its data (to determine the right validator)
+     * \brief Summarizes the schemas for a value
+     * \param resolved Object as returned by _resolve_path
+     * \returns Object with the class, title, type and so on, see describe
      */
-    get_asset_ref(data)
+    _describe_resolved(resolved)
     {
-        if ( "layers" in data )
-            return "#/$defs/assets/precomposition";
-        return "#/$defs/assets/image";
+        let schemas = resolved.schemas;
+        let first = key => schemas.find(schema => schema[key] !== undefined)?.[key];
+
+        // The most specific class, dispatching schemas like `all-layers` don't describe the object
+        let classes = resolved.classes.filter(name => {
+            let [category, obj] = name.split("/");
+            let schema = this.defs[category]?.[obj];
+            return schema && !schema.ty_oneof && !schema.asset_oneof;
+        });
+
+        let class_schema = classes.length ? this._schema_at("#/$defs/" + classes[0]) : undefined;
+        let title = resolved.direct.find(schema => schema.title)?.title ?? first("title");
+        let description = resolved.direct.find(schema => schema.description)?.description ?? first("description");
+
+        let info = {
+            class: classes[0] ?? null,
+            bases: classes.slice(1),
+            title: title === undefined ? undefined : this.translate_name(title),
+            description: description,
+            label: this.translate_name(first("_name") ?? "Value"),
+            docs: class_schema?._docs ?? first("_docs"),
+            type: first("type"),
+            value_type: json_type(resolved.value),
+        };
+
+        let constant = schemas.find(schema => "const" in schema);
+        if ( constant )
+            info.const = constant.const;
+
+        let options = first("enum_oneof");
+        if ( options )
+        {
+            info.enum = options.map(option => ({
+                value: option.const,
+                title: option.title,
+                description: option.description,
+            }));
+        }
+
+        let default_value = first("default");
+        if ( default_value !== undefined )
+            info.default = default_value;
 
+        return info;
     }
 
     /**
-     * \brief Applies common patches to a schema object
-     * \param cat Category slug
-     * \param obj Class slug
-     * \param ref $ref for the object
-     * \param obj_schema Class schema
-     * \param cat_docs Category docs link
-     * \param cat_name Category title
+     * \brief Describes the value at a JSON path based on the schema
+     *
+     * Objects using discriminators (`ty` for layers and shapes, `a` for animated properties and so on)
+     * are resolved based on the data, as during validation.
+     *
+     * \param data Top-level object
+     * \param path JSON path to the value, it doesn't need to exist in \p data (eg: to describe a property that isn't set)
+     * \param strict If \b false, \p path can also refer to array items past the end of the arrays in \p data
+     *        or go inside values that aren't objects, describing them from the schema alone (eg: for a document being edited)
+     * \returns Object with:
+     *      * \c path
+     *      * \c class `$defs` class as `category/name` (eg: `layers/shape-layer`), \b null for values without a class
+     *      * \c bases Classes \c class inherits from
+     *      * \c title, \c description and \c docs from the schema
+     *      * \c label Name used in error messages
+     *      * \c type JSON type from the schema
+     *      * \c value_type JSON type of the value in \p data (\b undefined if it's missing)
+     *      * \c const, \c default and \c enum (array of objects with \c value, \c title and \c description) if defined
+     *      * \c properties as from list_properties, for objects
+     *
+     *      or \b null if \p path isn't described by the schema, or when \p strict if it refers to an array item
+     *      that isn't in \p data or goes inside a value that isn't an object or array
      */
-    patch_object(cat, obj, ref, obj_schema, cat_docs, cat_name)
+    describe(data, path="", strict=true)
     {
-        let obj_docs = cat_docs;
-        let obj_name = cat_name;
-        if ( obj_schema.type && obj != "base-gradient" )
+        if ( this._versioned_validators )
+            return this.validator_for(data).describe(data, path, strict);
+
+        let resolved = this._resolve_path(data, path, strict);
+        if ( !resolved )
+            return null;
+
+        let info = {path: path, ...this._describe_resolved(resolved)};
+        if ( this._is_object(resolved, strict) && resolved.schemas.some(schema => schema.properties) )
+            info.properties = this._list_resolved_properties(resolved);
+        return info;
+    }
+
+    /**
+     * \brief Lists the properties allowed for the object at a JSON path
+     * \param data Top-level object
+     * \param path JSON path to the object
+     * \param strict As for describe
+     * \returns Array of objects with \c name, \c required, \c present (whether it's set in \p data)
+     *          and the same fields as describe for the property value (without \c properties),
+     *          or \b null if \p path isn't described by the schema or isn't an object (as in describe)
+     */
+    list_properties(data, path="", strict=true)
+    {
+        if ( this._versioned_validators )
+            return this.validator_for(data).list_properties(data, path, strict);
+
+        let resolved = this._resolve_path(data, path, strict);
+        if ( !resolved || !this._is_object(resolved, strict) )
+            return null;
+        return this._list_resolved_properties(resolved);
+    }
+
+    /**
+     * \returns Whether the value described by \p resolved can have properties
+     * \param strict If \b true, the value in the data must be an object (or missing),
+     *        otherwise the schema must allow an object
+     */
+    _is_object(resolved, strict)
+    {
+        let type = json_type(resolved.value);
+        if ( strict && type !== undefined )
+            return type == "object";
+        return resolved.schemas.some(schema => schema.properties || schema.type == "object");
+    }
+
+    /**
+     * \returns The properties of the object described by \p resolved, see list_properties
+     */
+    _list_resolved_properties(resolved)
+    {
+        let value = typeof resolved.value == "object" && resolved.value !== null && !Array.isArray(resolved.value) ? resolved.value : {};
+        let required = new Set(resolved.schemas.flatMap(schema => schema.required ?? []));
+
+        let by_name = new Map();
+        for ( let schema of resolved.schemas )
         {
-            obj_docs += "#" + obj;
-            obj_name = obj_schema.title || kebab_to_title(obj);
+            for ( let [name, prop_schema] of Object.entries(schema.properties ?? {}) )
+            {
+                if ( !by_name.has(name) )
+                    by_name.set(name, []);
+                by_name.get(name).push(prop_schema);
+            }
         }
-        patch_docs_links(obj_schema, obj_docs, obj_name, obj_name);
+
+        let properties = [];
+        for ( let [name, direct] of by_name )
+        {
+            let prop_value = value[name];
+            let applicable = this._applicable_schemas(direct, prop_value);
+            properties.push({
+                name: name,
+                required: required.has(name),
+                present: name in value,
+                ...this._describe_resolved({value: prop_value, direct: direct, ...applicable}),
+            });
+        }
+        return properties;
     }
 
     /**
-     * \brief Adds `ty`-based validation on `all-*` schemas
+     * \brief Runs the custom rules registered with add_rule
+     * \param data Top-level object being validated
+     * \returns Array of errors in the same format as Ajv errors
      */
-    _patch_ty_schema(id_base, category, all)
+    _rule_errors(data)
     {
+        let errors = [];
+
+        if ( this._rules.length == 0 || typeof data != "object" || data === null )
+            return errors;
+
+        let visit = (object_type, obj, path, schema) => {
+            for ( let rule of this._rules )
+            {
+                let callback = rule.visit[object_type];
+                if ( !callback )
+                    continue;
+
+                let results = callback(obj, path, data);
+                if ( !results )
+                    continue;
+
+                for ( let result of Array.isArray(results) ? results : [results] )
+                {
+                    if ( typeof result == "string" )
+                        result = {message: result};
+
+                    let error_path = result.path ?? path;
+                    let error_schema = schema;
+                    if ( result.property !== undefined )
+                    {
+                        error_path = path + "/" + escape_json_pointer(result.property);
+                        error_schema = this._property_schema(schema, result.property) ?? schema;
+                    }
+
+                    errors.push({
+                        message: result.message,
+                        type: result.severity ?? rule.severity ?? "error",
+                        code: result.code ?? rule.id,
+                        params: result.params,
+                        instancePath: error_path,
+                        parentSchema: error_schema,
+                        rule: rule.id,
+                    });
+                }
+            }
+        };
 
-        let found = {};
-        for ( let [name, sub_schema] of Object.entries(this.defs[category]) )
+        visit("animation", data, "", this.defs.composition.animation);
+
+        if ( Array.isArray(data.assets) )
         {
-            let ty = extract_schema_ty(sub_schema);
-            if ( ty !== undefined )
+            for ( let i = 0; i < data.assets.length; i++ )
             {
-                let id = `${id_base}#/$defs/${category}/${name}`;
-                found[ty] = {
-                    id: id
-                };
+                let asset = data.assets[i];
+                if ( typeof asset == "object" && asset !== null )
+                    visit("asset", asset, `/assets/${i}`, this.defs.assets["layers" in asset ? "precomposition" : "image"]);
             }
         }
-        this.defs[category][all].ty_oneof = found;
-        delete this.defs[category][all].oneOf;
 
-        return found;
-    }
+        for_each_layer_list(data, (layers, path) => {
+            for ( let i = 0; i < layers.length; i++ )
+            {
+                let layer = layers[i];
+                if ( typeof layer != "object" || layer === null )
+                    continue;
 
-    /**
-     * \brief Patches animated property validation to validate based on `a: 0` or `a: 1`
-     */
-    _patch_property_schema(schema, id)
-    {
-        if ( id.endsWith("gradient-property") )
-        {
-            if ( schema.properties.k.$ref )
-                return schema;
-            return this._patch_property_schema(schema.properties.k, id + "/properties/k");
-        }
+                visit("layer", layer, `${path}/${i}`, this._ty_schema("layers", layer, "unknown-layer"));
 
+                if ( Array.isArray(layer.shapes) )
+                {
+                    for_each_shape(layer.shapes, `${path}/${i}/shapes`, (shape, shape_path) => {
+                        visit("shape", shape, shape_path, this._ty_schema("shapes", shape, "unknown-shape"));
+                    });
+                }
+            }
+        });
 
-        if ( id.endsWith("splittable-position-property") )
-        {
-            delete schema.oneOf;
-            schema.splitpos_oneof = {
-                [true]: {id: this.schema["$id"] + "#/$defs/properties/split-position"},
-                [false]: {id: this.schema["$id"] + "#/$defs/properties/position-property"},
-            };
+        let keyframe_schema = this.defs.properties["base-keyframe"];
+        for_each_object(data, "", (obj, path) => {
+            if ( obj.a !== 1 || !Array.isArray(obj.k) )
+                return;
 
-            return;
-        }
+            for ( let i = 0; i < obj.k.length; i++ )
+            {
+                if ( typeof obj.k[i] == "object" && obj.k[i] !== null )
+                    visit("keyframe", obj.k[i], `${path}/k/${i}`, keyframe_schema);
+            }
+        });
 
-        schema.prop_oneof = [];
-        for ( let opt of schema.oneOf )
-        {
-            schema.prop_oneof.push({
-                schema: {
-                    type: "object",
-                    ...opt
-                },
-                id: id + "/prop_oneof/" + schema.prop_oneof.length + "/schema",
-            });
-        }
-        delete schema.oneOf;
+        return errors;
     }
 
     /**
@@ -635,13 +3207,16 @@ class LottieValidator
      */
     validate_object(data, show_warnings=true)
     {
-        let errors = [];
+        if ( this._versioned_validators )
+            return this.validator_for(data).validate_object(data, show_warnings);
+
+        let raw_errors = [];
         if ( !this._validate_internal(data) )
-        {
-            errors = this._validate_internal.errors
-                .map(e => this._cleaned_error(e, data, show_warnings))
-                .filter(e => e !== null)
-        };
+            raw_errors = this._validate_internal.errors;
+
+        let errors = raw_errors.concat(this._semantic_errors(data), this._rule_errors(data))
+            .map(e => this._cleaned_error(e, data, show_warnings))
+            .filter(e => e !== null);
 
         return errors.sort((a, b) => {
             if ( a.path < b.path )
@@ -652,6 +3227,29 @@ class LottieValidator
         });
     }
 
+    /**
+     * \returns the validator used for \p data
+     *
+     * When constructed with multiple schemas in `auto` mode, this is the one
+     * for the schema matching the version the animation is targeting.
+     */
+    validator_for(data)
+    {
+        if ( !this._versioned_validators )
+            return this;
+
+        let version = pick_spec_version(Array.from(this._schemas.keys()), detect_spec_version(data));
+        let validator = this._versioned_validators.get(version);
+        if ( !validator )
+        {
+            validator = new LottieValidator(this._AjvClass, this._schemas.get(version), {...this._config});
+            // Share the rules so the ones added later apply to all versions
+            validator._rules = this._rules;
+            this._versioned_validators.set(version, validator);
+        }
+        return validator;
+    }
+
     /**
      * \brief Validates an object
      * \param data Object or JSON string to validate
@@ -677,19 +3275,372 @@ class LottieValidator
         try {
             data = JSON.parse(string);
         } catch(e) {
+            let source_map = new JsonSourceMap(string);
+            let syntax_error = {
+                type: "error",
+                code: "json-syntax",
+                message: e.message,
+            };
+
+            try {
+                source_map.scan(new Set());
+            } catch(scan_error) {
+                syntax_error.message = scan_error.message;
+                Object.assign(syntax_error, source_map.position(scan_error.offset));
+            }
+
             return [
                 {
                     type: "error",
-                    message: "Document is not a valid JSON file",
+                    code: "invalid-json",
+                    message: this.format_message("invalid-json", {}),
                 },
+                syntax_error
+            ];
+        }
+
+        let errors = this.validate_object(data, show_warnings);
+        if ( errors.length )
+        {
+            let source_map = new JsonSourceMap(string);
+            source_map.scan(new Set(errors.map(e => e.path)));
+            for ( let error of errors )
+            {
+                let range = source_map.path_range(error.path);
+                if ( range )
                 {
-                    type: "error",
-                    message: e.message,
+                    Object.assign(error, range.start);
+                    error.end_line = range.end.line;
+                    error.end_column = range.end.column;
+                    error.end_offset = range.end.offset;
                 }
-            ];
+            }
         }
 
-        return this.validate_object(data, show_warnings);
+        return errors;
+    }
+
+    /**
+     * \brief Applies safe fixes to the document
+     *
+     * Fixes keyframe order, missing easing on keyframes, unknown properties
+     * and boolean values used instead of integer booleans.
+     *
+     * \param data Object or JSON string to fix, objects are not modified
+     * \param show_warnings If \b true, warnings will be returned, otherwise just errors
+     * \returns Object with the fixed \c data, the list of \c changes applied
+     *          and the \c errors that remain after fixing
+     */
+    fix(data, show_warnings=true)
+    {
+        if ( typeof data == "string" )
+        {
+            try {
+                data = JSON.parse(data);
+            } catch(e) {
+                return {data: null, changes: [], errors: this.validate_string(data, show_warnings)};
+            }
+        }
+        else
+        {
+            data = JSON.parse(JSON.stringify(data));
+        }
+
+        if ( this._versioned_validators )
+            return this.validator_for(data).fix(data, show_warnings);
+
+        let changes = [];
+        // Fixes might uncover other issues so repeat until nothing changes
+        for ( let pass = 0; pass < 10; pass++ )
+        {
+            if ( this._validate_internal(data) )
+                break;
+
+            // Keyframe fixes can reorder arrays so they are applied after fixes based on paths
+            let errors = this._validate_internal.errors
+                .filter(error => this._error_severity(error) != "off")
+                .sort((a, b) => (a.keyword == "keyframe") - (b.keyword == "keyframe"));
+
+            let changed = false;
+            for ( let error of errors )
+                changed = this._fix_error(error, data, changes) || changed;
+
+            if ( !changed )
+                break;
+        }
+
+        return {data: data, changes: changes, errors: this.validate_object(data, show_warnings)};
+    }
+
+    /**
+     * \brief Fixes the issue behind an Ajv error, if possible
+     * \param error Ajv error object
+     * \param data Top-level object being fixed
+     * \param changes Array to append the description of the applied fixes to
+     * \returns \b true if \p data has been modified
+     */
+    _fix_error(error, data, changes)
+    {
+        let [parent, key] = resolve_json_pointer(data, error.instancePath);
+        if ( parent === undefined || !(key in parent) )
+            return false;
+
+        if ( error.keyword == "warn_extra_props" )
+        {
+            delete parent[key];
+            changes.push({path: error.instancePath, message: `Removed unknown property '${key}'`});
+            return true;
+        }
+
+        let value = parent[key];
+        if ( typeof value == "boolean" && this._is_int_boolean_schema(error.parentSchema) )
+        {
+            parent[key] = Number(value);
+            changes.push({path: error.instancePath, message: `Replaced ${value} with ${parent[key]}`});
+            return true;
+        }
+
+        if ( (error.code == "keyframe-order" || error.code == "keyframe-missing-easing") && Array.isArray(parent) )
+            return this._fix_keyframes(parent, error.instancePath.replace(/\/[^/]*$/, ""), changes);
+
+        return false;
+    }
+
+    /**
+     * \returns \b true if the given schema describes an integer boolean
+     */
+    _is_int_boolean_schema(schema)
+    {
+        // Check the marker rather than identity as precompiled validators have copies of the schema
+        return schema?.int_boolean === true || schema?.$ref == "#/$defs/values/int-boolean";
+    }
+
+    /**
+     * \brief Sorts keyframes by time and adds linear easing where it's missing
+     * \param keyframes Array of keyframes
+     * \param path JSON path to \p keyframes
+     * \param changes Array to append the description of the applied fixes to
+     * \returns \b true if \p keyframes has been modified
+     */
+    _fix_keyframes(keyframes, path, changes)
+    {
+        let changed = false;
+
+        if ( keyframes.every(keyframe_has_t) )
+        {
+            for ( let i = 1; i < keyframes.length; i++ )
+            {
+                if ( keyframes[i].t < keyframes[i-1].t )
+                {
+                    // Array.prototype.sort is stable so keyframes with the same time keep their order
+                    keyframes.sort((a, b) => a.t - b.t);
+                    changes.push({path: path, message: "Sorted keyframes by time"});
+                    changed = true;
+                    break;
+                }
+            }
+        }
+
+        let easing = {
+            o: {x: [0], y: [0]},
+            i: {x: [1], y: [1]},
+        };
+
+        for ( let i = 0; i < keyframes.length - 1; i++ )
+        {
+            let kf = keyframes[i];
+            if ( typeof kf != "object" || kf === null || kf.h )
+                continue;
+
+            for ( let [prop, handle] of Object.entries(easing) )
+            {
+                if ( !(prop in kf) )
+                {
+                    kf[prop] = JSON.parse(JSON.stringify(handle));
+                    changes.push({path: `${path}/${i}/${prop}`, message: `Added linear easing '${prop}'`});
+                    changed = true;
+                }
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * \brief Summarizes the size and complexity of an animation
+     * \param data Animation object
+     * \param largest Number of the largest layers, assets and shapes to list
+     * \returns Object with counts of layers, shapes, properties and so on, see the readme for details
+     */
+    stats(data, largest=10)
+    {
+        if ( this._versioned_validators )
+            return this.validator_for(data).stats(data, largest);
+
+        let frames = typeof data.ip == "number" && typeof data.op == "number" ? data.op - data.ip : null;
+        let stats = {
+            duration: frames !== null && typeof data.fr == "number" && data.fr > 0 ? frames / data.fr : null,
+            frames: frames,
+            frame_rate: data.fr,
+            width: data.w,
+            height: data.h,
+            bytes: 0,
+            layers: {total: 0, by_type: {}},
+            shapes: {total: 0, by_type: {}},
+            masks: 0,
+            mattes: 0,
+            precomposition_depth: 0,
+            properties: {animated: 0, static: 0},
+            keyframes: 0,
+            assets: {images: 0, precompositions: 0, embedded_bytes: 0},
+            largest: [],
+        };
+
+        // Slug of the schema for each `ty`, by category
+        let type_names = {};
+        let type_name = (category, obj) => {
+            if ( !type_names[category] )
+            {
+                type_names[category] = new Map();
+                for ( let [name, sub_schema] of Object.entries(this.defs[category]) )
+                {
+                    let ty = extract_schema_ty(sub_schema);
+                    if ( ty !== undefined )
+                        type_names[category].set(ty, name);
+                }
+            }
+            return type_names[category].get(obj.ty) ?? "unknown";
+        };
+        let count = (group, name) => {
+            group.total += 1;
+            group.by_type[name] = (group.by_type[name] ?? 0) + 1;
+        };
+
+        // Objects listed in `largest`, with the kind of object
+        let candidates = new Map();
+
+        for_each_layer_list(data, (layers, path) => {
+            for ( let i = 0; i < layers.length; i++ )
+            {
+                let layer = layers[i];
+                if ( typeof layer != "object" || layer === null )
+                    continue;
+
+                let name = type_name("layers", layer);
+                count(stats.layers, name);
+                candidates.set(layer, name);
+
+                if ( Array.isArray(layer.masksProperties) )
+                    stats.masks += layer.masksProperties.length;
+                if ( typeof layer.tt == "number" && layer.tt != 0 )
+                    stats.mattes += 1;
+
+                if ( Array.isArray(layer.shapes) )
+                {
+                    for_each_shape(layer.shapes, `${path}/${i}/shapes`, shape => {
+                        let shape_name = type_name("shapes", shape);
+                        count(stats.shapes, shape_name);
+                        candidates.set(shape, shape_name);
+                    });
+                }
+            }
+        });
+
+        let precomps = new Map();
+        if ( Array.isArray(data.assets) )
+        {
+            for ( let asset of data.assets )
+            {
+                if ( typeof asset != "object" || asset === null )
+                    continue;
+
+                if ( Array.isArray(asset.layers) )
+                {
+                    stats.assets.precompositions += 1;
+                    precomps.set(asset.id, asset);
+                    candidates.set(asset, "precomposition");
+                }
+                else
+                {
+                    stats.assets.images += 1;
+                    candidates.set(asset, "image");
+                    let decoded = typeof asset.p == "string" ? decode_data_url(asset.p) : null;
+                    if ( decoded?.bytes )
+                        stats.assets.embedded_bytes += decoded.bytes.length;
+                }
+            }
+        }
+
+        // Precompositions nesting, ignoring loops
+        // The depth of each precomposition is cached as they can be used many times
+        let asset_depths = new Map();
+        let depth = (layers, visiting) => {
+            let max = 0;
+            for ( let layer of layers )
+            {
+                let asset = layer?.ty === 0 ? precomps.get(layer.refId) : undefined;
+                if ( !asset || visiting.has(asset) )
+                    continue;
+
+                if ( !asset_depths.has(layer.refId) )
+                {
+                    visiting.add(asset);
+                    asset_depths.set(layer.refId, 1 + depth(asset.layers, visiting));
+                    visiting.delete(asset);
+                }
+                max = Math.max(max, asset_depths.get(layer.refId));
+            }
+            return max;
+        };
+        if ( Array.isArray(data.layers) )
+            stats.precomposition_depth = depth(data.layers, new Set());
+
+        for_each_object(data, "", obj => {
+            if ( obj.a === 1 && Array.isArray(obj.k) )
+            {
+                stats.properties.animated += 1;
+                stats.keyframes += obj.k.length;
+            }
+            else if ( obj.a === 0 && "k" in obj )
+            {
+                stats.properties.static += 1;
+            }
+        });
+
+        // Compact JSON size of every value, recording the candidates for `largest`
+        let sizes = [];
+        let size = (value, path) => {
+            if ( typeof value == "string" )
+                return new TextEncoder().encode(JSON.stringify(value)).length;
+
+            if ( typeof value != "object" || value === null )
+                return String(JSON.stringify(value) ?? null).length;
+
+            let total = 2;
+            let entries = Array.isArray(value) ? value.entries() : Object.entries(value);
+            let first = true;
+            for ( let [key, child] of entries )
+            {
+                if ( child === undefined )
+                    continue;
+                if ( !first )
+                    total += 1;
+                first = false;
+                if ( !Array.isArray(value) )
+                    total += new TextEncoder().encode(JSON.stringify(key)).length + 1;
+                total += size(child, path + "/" + escape_json_pointer(String(key)));
+            }
+
+            if ( candidates.has(value) )
+                sizes.push({path: path, type: candidates.get(value), name: value.nm, bytes: total});
+            return total;
+        };
+        stats.bytes = size(data, "");
+
+        sizes.sort((a, b) => b.bytes - a.bytes);
+        stats.largest = sizes.slice(0, largest);
+
+        return stats;
     }
 
     /**
@@ -702,16 +3653,17 @@ class LottieValidator
      */
     _cleaned_error(error, data, show_warnings)
     {
-        if ( !show_warnings && error.type === "warning" )
+        let type = this._error_severity(error);
+        if ( type == "off" )
+            return null;
+
+        if ( !show_warnings && type === "warning" )
             return null;
 
         // There's going to be other errors on failed ifs
         if ( error.keyword == "if" )
             return null;
 
-        if ( error.keyword == "pattern" )
-            error.message = "doesn't match the pattern";
-
         let path_names;
         if ( this.name_paths )
         {
@@ -734,14 +3686,22 @@ class LottieValidator
             }
         }
 
+        let code = error_code(error);
+        let name = this.translate_name(error.parentSchema?._name ?? "Value");
+        let params = error_params(error);
+        let message = this.format_message(code, {...params, name: name, keyword: error.keyword}, name + " " + error.message);
+
         return {
-            type: error.type ?? "error",
+            type: type,
             warning: error.warning,
-            message: (error.parentSchema?._name ?? "Value") + " " + error.message,
+            message: message,
             path: error.instancePath ?? "",
-            name: error.parentSchema?._docs_name ?? "Value",
+            name: this.translate_name(error.parentSchema?._docs_name ?? "Value"),
             docs: error.parentSchema?._docs,
             path_names: path_names,
+            rule: error.rule ?? "schema",
+            code: code,
+            params: params,
         };
     }
 }
@@ -752,7 +3712,103 @@ class LottieValidator
  */
 function schema_file_name(version=null)
 {
-    return "lottie.schema.json";
+    if ( version === null || version == latest_schema_version() )
+        return "lottie.schema.json";
+
+    if ( !schema_versions.includes(version) )
+        throw new Error(`No schema available for version ${version}`);
+
+    return `lottie-${version}.schema.json`;
+}
+
+/**
+ * \brief Spec versions with a schema in `src/data`, from oldest to newest
+ *
+ * The latest is in `lottie.schema.json`, the others in `lottie-<version>.schema.json`.
+ */
+const schema_versions = ["1.0"];
+
+/**
+ * \returns the most recent version in \c schema_versions
+ */
+function latest_schema_version()
+{
+    return schema_versions[schema_versions.length - 1];
+}
+
+/**
+ * \returns a `major.minor` version string from an integer version (as in `ver` and `$version`)
+ */
+function spec_version_string(version)
+{
+    return `${Math.floor(version / 10000)}.${Math.floor(version / 100) % 100}`;
+}
+
+/**
+ * \brief Oldest bodymovin version (as in `v`) producing files for each spec version, from oldest to newest
+ *
+ * Spec 1.0 describes the format exported by bodymovin 5.
+ */
+const bodymovin_spec_versions = [
+    {bodymovin: [5, 0, 0], spec: "1.0"},
+];
+
+/**
+ * \returns the version an animation is targeting as a `major.minor` string or \b null if unknown
+ * \param data Animation object, `ver` is used if present otherwise `v`
+ *
+ * `v` is the version of bodymovin that exported the file, mapped to a spec version with \c bodymovin_spec_versions.
+ */
+function detect_spec_version(data)
+{
+    if ( typeof data != "object" || data === null )
+        return null;
+
+    if ( Number.isInteger(data.ver) && data.ver >= 10000 )
+        return spec_version_string(data.ver);
+
+    if ( typeof data.v == "string" )
+    {
+        let match = data.v.match(/^([0-9]+)\.([0-9]+)(?:\.([0-9]+))?/);
+        if ( !match )
+            return null;
+
+        let bodymovin = [Number(match[1]), Number(match[2]), Number(match[3] ?? 0)];
+        let compare = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+        let found = null;
+        for ( let entry of bodymovin_spec_versions )
+            if ( compare(entry.bodymovin, bodymovin) <= 0 )
+                found = entry.spec;
+        return found;
+    }
+
+    return null;
+}
+
+/**
+ * \returns The version from \p available best suited to validate \p wanted
+ *
+ * That's the newest version not newer than \p wanted, the oldest available one
+ * if \p wanted predates all of them, or the newest if \p wanted is \b null.
+ */
+function pick_spec_version(available, wanted)
+{
+    let parse = version => version.split(".").map(Number);
+    let compare = (a, b) => {
+        let [a_major, a_minor] = parse(a);
+        let [b_major, b_minor] = parse(b);
+        return a_major - b_major || a_minor - b_minor;
+    };
+
+    let sorted = available.slice().sort(compare);
+    if ( wanted === null )
+        return sorted[sorted.length - 1];
+
+    let best = sorted[0];
+    for ( let version of sorted )
+        if ( compare(version, wanted) <= 0 )
+            best = version;
+    return best;
 }
 
 /**
@@ -767,5 +3823,16 @@ function get_schema_url(version=null, url_prefix="https://cdn.jsdelivr.net/npm/@
 // Node module exports
 if ( typeof module !== "undefined" )
 {
-    module.exports = {LottieValidator, get_schema_url, schema_file_name};
+    module.exports = {
+        LottieValidator, JsonSourceMap, get_schema_url, schema_file_name, schema_versions, detect_spec_version,
+        escape_json_pointer, resolve_json_pointer,
+    };
+}
+// Browser globals
+else
+{
+    globalThis.LottieValidator = LottieValidator;
+    globalThis.get_schema_url = get_schema_url;
 }
+
+})();
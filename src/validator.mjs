@@ -0,0 +1,4 @@
+// ES module entry point, sharing the implementation with the CommonJS module
+import validator from "./validator.js";
+
+export const {LottieValidator, get_schema_url, schema_file_name, schema_versions, detect_spec_version} = validator;
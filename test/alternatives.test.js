@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {Ajv2020} = require("ajv/dist/2020");
+const {LottieValidator} = require("../src/validator-node.js");
+const {load_schema, create_validator, animation, shape_layer, codes} = require("./helpers.js");
+
+/**
+ * \returns A validator whose animations accept test properties defined with `oneOf` and `anyOf`
+ */
+function union_validator()
+{
+    let schema = load_schema();
+    schema.$defs.helpers["test-point"] = {
+        type: "object",
+        properties: {x: {type: "number"}, y: {type: "number"}},
+        required: ["x", "y"],
+    };
+    schema.$defs.helpers["test-size"] = {
+        type: "object",
+        properties: {width: {type: "number"}, height: {type: "number"}},
+        required: ["width", "height"],
+    };
+    let branches = [{$ref: "#/$defs/helpers/test-point"}, {$ref: "#/$defs/helpers/test-size"}];
+    let properties = schema.$defs.composition.animation.allOf[1].properties;
+    properties.one = {title: "One", oneOf: branches};
+    properties.any = {title: "Any", anyOf: branches};
+    properties.number = {title: "Number", oneOf: [{type: "number"}, {type: "integer"}]};
+    return new LottieValidator(Ajv2020, schema);
+}
+
+const validator = create_validator();
+const unions = union_validator();
+
+test("matching alternatives", () => {
+    assert.deepStrictEqual(unions.validate(animation({one: {x: 1, y: 2}, any: {width: 1, height: 2}, number: 1.5})), []);
+});
+
+test("only the closest alternative is reported", () => {
+    assert.deepStrictEqual(codes(unions.validate(animation({one: {x: 1, y: "a"}}))), ["invalid-type /one/y"]);
+    assert.deepStrictEqual(codes(unions.validate(animation({any: {x: 1, y: "a"}}))), ["invalid-type /any/y"]);
+    // Branches failing on the type of the value itself are the least likely
+    assert.deepStrictEqual(codes(unions.validate(animation({one: "a"}))), ["invalid-type /one"]);
+    // Warnings for unknown properties don't count towards the closest alternative
+    let errors = unions.validate(animation({one: {width: 1}}));
+    assert.deepStrictEqual(codes(errors), ["missing-property /one"]);
+    assert.strictEqual(errors[0].params.property, "height");
+});
+
+test("oneOf matching more than one alternative", () => {
+    let errors = unions.validate(animation({number: 1}));
+    assert.deepStrictEqual(codes(errors), ["multiple-matching-schemas /number"]);
+    assert.deepStrictEqual(errors[0].params.passingSchemas, [0, 1]);
+});
+
+test("alternatives with only warnings", () => {
+    let errors = unions.validate(animation({one: {x: 1, y: 2, z: 3}}));
+    assert.deepStrictEqual(codes(errors), ["unknown-property /one/z"]);
+    assert.strictEqual(errors[0].type, "warning");
+});
+
+test("suggestions for unknown properties", () => {
+    let errors = validator.validate(animation({nmm: "Name"}));
+    assert.deepStrictEqual(codes(errors), ["unknown-property /nmm"]);
+    assert.strictEqual(errors[0].params.suggestion, "nm");
+    assert.match(errors[0].message, /, did you mean 'nm'\?$/);
+
+    let layer_errors = props => validator.validate(animation({}, [shape_layer(1, props)]));
+    assert.strictEqual(layer_errors({prent: 1})[0].params.suggestion, "parent");
+    // Names of 2 characters are too short to guess
+    assert.strictEqual(validator.validate(animation({fx: 1}))[0].params.suggestion, undefined);
+    // "tp" and "tt" are equally close
+    assert.strictEqual(layer_errors({tpt: 1})[0].params.suggestion, undefined);
+    assert.doesNotMatch(layer_errors({tpt: 1})[0].message, /did you mean/);
+});
+
+test("suggestions for unknown types", () => {
+    let rectangle = shape_layer(1).shapes[0];
+    let type_error = ty => validator.validate(animation({}, [shape_layer(1, {shapes: [{...rectangle, ty: ty}]})]))[0];
+
+    let error = type_error("rct");
+    assert.strictEqual(error.code, "unknown-type");
+    assert.deepStrictEqual(error.params, {property: "ty", value: "rct", suggestion: "rc"});
+    assert.match(error.message, /, did you mean "rc"\?$/);
+
+    // Differences in case are matched even for short names
+    assert.strictEqual(type_error("RC").params.suggestion, "rc");
+    assert.strictEqual(type_error("rx").params.suggestion, undefined);
+    assert.strictEqual(type_error("xyz").params.suggestion, undefined);
+});
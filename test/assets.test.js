@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {create_validator, animation, shape_layer, codes, with_code} = require("./helpers.js");
+
+const validator = create_validator();
+
+// 1x1 transparent PNG
+const png = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+function precomp_layer(ind, ref_id)
+{
+    return {ty: 0, ind: ind, ip: 0, op: 60, ks: {}, refId: ref_id, w: 100, h: 100};
+}
+
+function image(props={})
+{
+    return {id: "image", w: 1, h: 1, p: "data:image/png;base64," + png, e: 1, ...props};
+}
+
+test("precomposition references", () => {
+    let data = animation({assets: [{id: "comp", layers: [shape_layer(1)]}]}, [precomp_layer(1, "comp")]);
+    assert.deepStrictEqual(validator.validate(data), []);
+});
+
+test("unknown asset reference", () => {
+    let data = animation({assets: []}, [precomp_layer(1, "comp")]);
+    assert.deepStrictEqual(codes(with_code(validator.validate(data), "unknown-asset-ref")), ["unknown-asset-ref /layers/0/refId"]);
+});
+
+test("asset of the wrong type", () => {
+    let data = animation({assets: [image({id: "comp"})]}, [precomp_layer(1, "comp")]);
+    let errors = with_code(validator.validate(data), "asset-type-mismatch");
+    assert.deepStrictEqual(codes(errors), ["asset-type-mismatch /layers/0/refId"]);
+});
+
+test("precomposition loop", () => {
+    let data = animation({
+        assets: [
+            {id: "a", layers: [precomp_layer(1, "b")]},
+            {id: "b", layers: [precomp_layer(1, "a")]},
+        ]
+    }, [precomp_layer(1, "a")]);
+    let errors = with_code(validator.validate(data), "precomposition-loop");
+    assert.strictEqual(errors.length, 1);
+    assert.deepStrictEqual(errors[0].params.ids, ["a", "b", "a"]);
+});
+
+test("precomposition including itself", () => {
+    let data = animation({assets: [{id: "a", layers: [precomp_layer(1, "a")]}]}, [precomp_layer(1, "a")]);
+    let errors = with_code(validator.validate(data), "precomposition-loop");
+    assert.deepStrictEqual(codes(errors), ["precomposition-loop /assets/0/layers/0/refId"]);
+});
+
+test("slot references", () => {
+    let layer = shape_layer(1, {ks: {o: {a: 0, k: 50, sid: "opacity"}}});
+    let data = animation({slots: {opacity: {p: {a: 0, k: 100}}}}, [layer]);
+    assert.deepStrictEqual(validator.validate(data), []);
+
+    data.slots = {};
+    assert.deepStrictEqual(codes(with_code(validator.validate(data), "unknown-slot")), ["unknown-slot /layers/0/ks/o/sid"]);
+
+    data.slots = {opacity: {p: {a: 0, k: "nope"}}};
+    assert.deepStrictEqual(codes(with_code(validator.validate(data), "invalid-slot-value")), ["invalid-slot-value /layers/0/ks/o/sid"]);
+});
+
+test("unused slot", () => {
+    let data = animation({slots: {"a/b": {p: {a: 0, k: 100}}}});
+    let errors = validator.validate(data);
+    assert.deepStrictEqual(codes(errors), ["unused-slot /slots/a~1b"]);
+    assert.strictEqual(errors[0].type, "warning");
+});
+
+test("embedded image", () => {
+    let data = animation({assets: [image()]}, [{ty: 2, ind: 1, ip: 0, op: 60, ks: {}, refId: "image"}]);
+    assert.deepStrictEqual(validator.validate(data), []);
+});
+
+test("embedded image errors", () => {
+    let layers = [{ty: 2, ind: 1, ip: 0, op: 60, ks: {}, refId: "image"}];
+    let check = (asset) => codes(validator.validate(animation({assets: [asset]}, layers)));
+
+    assert.deepStrictEqual(check(image({p: "data:image/png;base64,@@@"})), ["invalid-data-url /assets/0/p"]);
+    assert.deepStrictEqual(check(image({p: "data:image/png;base64,aGVsbG8="})), ["unknown-image-format /assets/0/p"]);
+    assert.deepStrictEqual(check(image({p: "data:image/jpeg;base64," + png})), ["image-mime-mismatch /assets/0/p"]);
+    assert.deepStrictEqual(check(image({w: 2})), ["image-size-mismatch /assets/0/w"]);
+});
+
+test("embedded image size limit", () => {
+    let limited = create_validator({max_image_bytes: 10});
+    let data = animation({assets: [image()]}, [{ty: 2, ind: 1, ip: 0, op: 60, ks: {}, refId: "image"}]);
+    assert.deepStrictEqual(codes(limited.validate(data)), ["image-too-large /assets/0/p"]);
+});
+
+test("unused content", () => {
+    let data = animation({assets: [{id: "unused", layers: [shape_layer(1)]}]}, [
+        shape_layer(1),
+        shape_layer(2, {hd: true}),
+        shape_layer(3, {ks: {o: {a: 0, k: 0}}}),
+    ]);
+    assert.deepStrictEqual(codes(validator.validate(data)), [
+        "unused-asset /assets/0/id",
+        "hidden-layer /layers/1/hd",
+        "transparent-layer /layers/2/ks/o",
+    ]);
+});
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {find_files, validate_files, files_stats, glob_to_regex} = require("../src/batch.js");
+const {load_schema, create_validator, animation, shape_layer, create_zip, codes} = require("./helpers.js");
+
+const validator = create_validator();
+
+function temp_dir(t, files)
+{
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "lottie-specs-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    for ( let [name, contents] of Object.entries(files) )
+    {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), {recursive: true});
+        fs.writeFileSync(path.join(dir, name), contents);
+    }
+    return dir;
+}
+
+test("glob patterns", () => {
+    assert.ok(glob_to_regex("*.json").test("a.json"));
+    assert.ok(!glob_to_regex("*.json").test("dir/a.json"));
+    assert.ok(glob_to_regex("**/*.json").test("a.json"));
+    assert.ok(glob_to_regex("**/*.json").test("dir/sub/a.json"));
+    assert.ok(glob_to_regex("a?.{json,lottie}").test("ab.lottie"));
+    assert.ok(!glob_to_regex("a?.{json,lottie}").test("ab.txt"));
+});
+
+test("find files", (t) => {
+    let dir = temp_dir(t, {"a.json": "{}", "b.lottie": "", "c.txt": "", "sub/d.json": "{}"});
+    let relative = files => files.map(file => path.relative(dir, file).split(path.sep).join("/")).sort();
+
+    assert.deepStrictEqual(relative(find_files([dir])), ["a.json", "b.lottie", "sub/d.json"]);
+    assert.deepStrictEqual(relative(find_files([dir + "/*.json"])), ["a.json"]);
+    assert.deepStrictEqual(relative(find_files([dir + "/**/*.json", dir + "/a.json"])), ["a.json", "sub/d.json"]);
+});
+
+test("validate files", async (t) => {
+    let dir = temp_dir(t, {
+        "valid.json": JSON.stringify(animation()),
+        "invalid.json": JSON.stringify(animation({}, [shape_layer(1, {parent: 2})])),
+        "broken.json": "{",
+        "archive.lottie": create_zip({
+            "manifest.json": JSON.stringify({animations: [{id: "main"}]}),
+            "a/main.json": JSON.stringify(animation()),
+        }),
+    });
+    let files = ["valid.json", "invalid.json", "broken.json", "archive.lottie", "missing.json"].map(file => path.join(dir, file));
+    let results = await validate_files(validator, files, {jobs: 2});
+
+    assert.deepStrictEqual(results.map(result => [path.basename(result.file), result.entry, codes(result.errors)]), [
+        ["valid.json", undefined, []],
+        ["invalid.json", undefined, ["unknown-parent /layers/0/parent"]],
+        ["broken.json", undefined, ["invalid-json undefined", "json-syntax undefined"]],
+        ["archive.lottie", "manifest.json", []],
+        ["archive.lottie", "a/main.json", []],
+        ["missing.json", undefined, ["unreadable-file "]],
+    ]);
+});
+
+test("fix files", async (t) => {
+    let dir = temp_dir(t, {"input.json": JSON.stringify(animation({foo: 1}))});
+    let input = path.join(dir, "input.json");
+    let output = path.join(dir, "output.json");
+    let results = await validate_files(validator, [input], {fix: true, output: output});
+
+    assert.deepStrictEqual(results[0].changes, [{path: "/foo", message: "Removed unknown property 'foo'"}]);
+    assert.deepStrictEqual(results[0].errors, []);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(output, "utf8")), animation());
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(input, "utf8")), animation({foo: 1}));
+});
+
+test("fix files in place", async (t) => {
+    let dir = temp_dir(t, {
+        "tabs.json": JSON.stringify(animation({foo: 1}), null, "\t") + "\n",
+        "minified.json": JSON.stringify(animation({foo: 1})),
+        "valid.json": JSON.stringify(animation(), null, 2),
+    });
+    let files = ["tabs.json", "minified.json", "valid.json"].map(file => path.join(dir, file));
+    let mtime = fs.statSync(files[2]).mtimeMs;
+    await validate_files(validator, files, {fix: true, in_place: true});
+
+    assert.strictEqual(fs.readFileSync(files[0], "utf8"), JSON.stringify(animation(), null, "\t") + "\n");
+    assert.strictEqual(fs.readFileSync(files[1], "utf8"), JSON.stringify(animation()));
+    assert.strictEqual(fs.statSync(files[2]).mtimeMs, mtime);
+});
+
+test("fix without output only reports changes", async (t) => {
+    let string = JSON.stringify(animation({foo: 1}), null, 4);
+    let dir = temp_dir(t, {"input.json": string});
+    let results = await validate_files(validator, [path.join(dir, "input.json")], {fix: true});
+
+    assert.strictEqual(results[0].changes.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(dir, "input.json"), "utf8"), string);
+});
+
+test("fix output keeps the indentation", async (t) => {
+    let dir = temp_dir(t, {"input.json": JSON.stringify(animation({foo: 1}), null, 2).replace(/\n/g, "\r\n")});
+    let output = path.join(dir, "output.json");
+    await validate_files(validator, [path.join(dir, "input.json")], {fix: true, output: output});
+    assert.strictEqual(fs.readFileSync(output, "utf8"), JSON.stringify(animation(), null, 2).replace(/\n/g, "\r\n"));
+});
+
+test("strip unused content keeps the indentation", async (t) => {
+    let dir = temp_dir(t, {"input.json": JSON.stringify(animation({slots: {a: {p: {a: 0, k: 1}}}}), null, 4)});
+    let input = path.join(dir, "input.json");
+    let results = await validate_files(validator, [input], {strip_unused: true, in_place: true});
+
+    assert.deepStrictEqual(results[0].changes, [{path: "/slots/a", message: "Removed unused slot"}]);
+    assert.strictEqual(fs.readFileSync(input, "utf8"), JSON.stringify(animation({slots: {}}), null, 4));
+});
+
+test("fix refuses dotLottie files", async (t) => {
+    let dir = temp_dir(t, {"a.lottie": create_zip({})});
+    let results = await validate_files(validator, [path.join(dir, "a.lottie")], {fix: true});
+    assert.deepStrictEqual(results[0].errors.map(error => error.code), ["unsupported-fix"]);
+});
+
+test("file statistics", async (t) => {
+    let dir = temp_dir(t, {"a.json": JSON.stringify(animation()), "b.json": "[]"});
+    let results = await files_stats(validator, [path.join(dir, "a.json"), path.join(dir, "b.json")]);
+
+    assert.strictEqual(results[0].stats.layers.total, 1);
+    assert.strictEqual(results[0].stats.shapes.total, 1);
+    assert.deepStrictEqual(results[1].errors.map(error => error.code), ["invalid-json"]);
+});
+
+test("worker threads", async (t) => {
+    let dir = temp_dir(t, {
+        "valid.json": JSON.stringify(animation()),
+        "invalid.json": JSON.stringify(animation({foo: 1}, [shape_layer(1, {parent: 2})])),
+        "broken.json": "{",
+        "archive.lottie": create_zip({
+            "manifest.json": JSON.stringify({animations: [{id: "main"}]}),
+            "a/main.json": JSON.stringify(animation()),
+        }),
+    });
+    let files = ["valid.json", "invalid.json", "broken.json", "archive.lottie", "missing.json"].map(file => path.join(dir, file));
+    let config = {rules: {"unknown-property": "off"}};
+    let workers = {schema: load_schema(), config: config};
+
+    let results = await validate_files(validator, files, {jobs: 2, workers: workers});
+    assert.deepStrictEqual(results, await validate_files(create_validator(config), files, {jobs: 1}));
+    assert.deepStrictEqual(codes(results[1].errors), ["unknown-parent /layers/0/parent"]);
+
+    let stats = await files_stats(validator, files.slice(0, 3), {jobs: 2, workers: workers});
+    assert.deepStrictEqual(stats, await files_stats(validator, files.slice(0, 3)));
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+const url = require("url");
+const child_process = require("child_process");
+const {find_requires, collect_modules} = require("../scripts/build-bundle.js");
+const {create_validator, animation, shape_layer} = require("./helpers.js");
+
+test("classic script globals", () => {
+    let source = fs.readFileSync(path.resolve(__dirname, "..", "src", "validator.js"), "utf8");
+    let context = vm.createContext({});
+    let before = new Set(vm.runInContext("Object.getOwnPropertyNames(globalThis)", context));
+    vm.runInContext(source, context);
+
+    // Arrays from the context have a different prototype
+    let added = Array.from(vm.runInContext("Object.getOwnPropertyNames(globalThis)", context)).filter(name => !before.has(name));
+    assert.deepStrictEqual(added.sort(), ["LottieValidator", "get_schema_url"]);
+    assert.strictEqual(vm.runInContext("typeof JsonSourceMap", context), "undefined");
+    assert.match(vm.runInContext("get_schema_url()", context), /lottie\.schema\.json$/);
+});
+
+test("bundles", async (t) => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "lottie-specs-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    let script = path.resolve(__dirname, "..", "scripts", "build-bundle.js");
+    child_process.execFileSync(process.execPath, [script, dir], {stdio: "ignore", timeout: 300000});
+
+    let data = animation({foo: 1}, [shape_layer(1, {parent: 5})]);
+    let expected = create_validator().validate(data);
+
+    // The classic script runs without Node APIs
+    let context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(path.join(dir, "validator-bundle.js"), "utf8"), context);
+    assert.strictEqual(vm.runInContext("typeof LottieSpecs.validate", context), "function");
+    context.data = data;
+    assert.deepStrictEqual(JSON.parse(vm.runInContext("JSON.stringify(LottieSpecs.validate(data))", context)), JSON.parse(JSON.stringify(expected)));
+
+    let script_exports = require(path.join(dir, "validator-bundle.js"));
+    assert.deepStrictEqual(script_exports.validate(data), expected);
+
+    let module_exports = await import(url.pathToFileURL(path.join(dir, "validator-bundle.mjs")));
+    assert.deepStrictEqual(module_exports.validate(data), expected);
+    assert.deepStrictEqual(Object.keys(module_exports).filter(name => name != "default").sort(), Object.keys(script_exports).sort());
+    assert.strictEqual(module_exports.create_validator().validate(data, false).length, 1);
+});
+
+test("bundle requires", (t) => {
+    assert.deepStrictEqual(find_requires(`const a = require("./a.js"); let code = "require('b')"; require( 'c' );`), ["./a.js", "c"]);
+
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "lottie-specs-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    fs.writeFileSync(path.join(dir, "entry.js"), `require("./helper.js");`);
+    fs.writeFileSync(path.join(dir, "helper.js"), `const fs = require("fs");`);
+    fs.writeFileSync(path.join(dir, "prefixed.js"), `const path = require("node:path");`);
+    fs.writeFileSync(path.join(dir, "plain.js"), `require("./data.json");`);
+    fs.writeFileSync(path.join(dir, "data.json"), `{"a": 1}`);
+
+    assert.throws(() => collect_modules(path.join(dir, "entry.js")), /helper\.js requires fs, which is not available in browsers/);
+    assert.throws(() => collect_modules(path.join(dir, "prefixed.js")), /requires node:path/);
+    assert.deepStrictEqual(collect_modules(path.join(dir, "plain.js")).map(module => path.basename(module.file)), ["plain.js", "data.json"]);
+});
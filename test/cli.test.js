@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const child_process = require("child_process");
+const {animation} = require("./helpers.js");
+
+const script = path.resolve(__dirname, "..", "bin", "validate.js");
+
+function run(args, cwd)
+{
+    return child_process.spawnSync(process.execPath, [script, ...args], {cwd: cwd, encoding: "utf8", timeout: 60000});
+}
+
+function temp_dir(t, files)
+{
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "lottie-specs-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    for ( let [name, contents] of Object.entries(files) )
+        fs.writeFileSync(path.join(dir, name), contents);
+    return dir;
+}
+
+test("validate a file", (t) => {
+    let dir = temp_dir(t, {"a.json": JSON.stringify(animation({foo: 1}))});
+    let result = run(["a.json"], dir);
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout).map(error => error.code), ["unknown-property"]);
+});
+
+test("fix needs an output", (t) => {
+    let string = JSON.stringify(animation({foo: 1}));
+    let dir = temp_dir(t, {"a.json": string});
+
+    let result = run(["--fix", "a.json"], dir);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /--output or --in-place/);
+    assert.strictEqual(fs.readFileSync(path.join(dir, "a.json"), "utf8"), string);
+
+    assert.strictEqual(run(["--output", "b.json", "--in-place", "a.json"], dir).status, 1);
+
+    result = run(["--in-place", "a.json"], dir);
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout).changes.map(change => change.path), ["/foo"]);
+    assert.strictEqual(fs.readFileSync(path.join(dir, "a.json"), "utf8"), JSON.stringify(animation()));
+});
+
+test("text output shows the names of the containing objects", (t) => {
+    let layer = {...animation().layers[0], nm: "Background", parent: 5};
+    let dir = temp_dir(t, {"a.json": JSON.stringify(animation({}, [layer]))});
+    let result = run(["--format", "text", "a.json"], dir);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /^  \/layers\/0\/parent \(1:\d+\) Background$/m);
+});
+
+test("unknown rules in the configuration", (t) => {
+    let dir = temp_dir(t, {
+        "a.json": JSON.stringify(animation()),
+        ".lottiespecsrc.json": JSON.stringify({rules: {"keyframe-ordr": "off"}}),
+    });
+    let result = run(["a.json"], dir);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Invalid configuration in .*: Unknown rule keyframe-ordr, did you mean keyframe-order\?/);
+});
+
+test("multiple files in worker threads", (t) => {
+    let layer = {...animation().layers[0], nm: "Background", parent: 5};
+    let dir = temp_dir(t, {
+        "a.json": JSON.stringify(animation({}, [layer])),
+        "b.json": JSON.stringify(animation({foo: 1})),
+        ".lottiespecsrc.json": JSON.stringify({rules: {"unknown-property": "off"}}),
+    });
+    let result = run(["--jobs", "2", "--format", "text", "a.json", "b.json"], dir);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /^  \/layers\/0\/parent \(1:\d+\) Background$/m);
+    assert.match(result.stdout, /^ok   b\.json \(0 errors, 0 warnings\)$/m);
+});
@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {LottieValidator, load_config, find_config_file, config_file_name} = require("../src/validator-node.js");
+const {Ajv2020} = require("ajv/dist/2020");
+const {load_schema, create_validator, animation, shape_layer, null_layer, codes} = require("./helpers.js");
+
+test("ignored properties and paths", () => {
+    let data = animation({foo: 1}, [shape_layer(1, {bar: 2}), null_layer(2, {baz: 3})]);
+    assert.deepStrictEqual(codes(create_validator().validate(data)), [
+        "unknown-property /foo",
+        "unknown-property /layers/0/bar",
+        "unknown-property /layers/1/baz",
+    ]);
+    assert.deepStrictEqual(codes(create_validator({ignore_properties: ["bar"], ignore_paths: ["/layers/*/baz"]}).validate(data)), [
+        "unknown-property /foo",
+    ]);
+});
+
+test("invalid severities", () => {
+    assert.throws(() => create_validator({rules: {"keyframe-order": "fatal"}}), /fatal/);
+});
+
+test("unknown rule ids", () => {
+    let validator = create_validator({rules: {"keyframe-ordr": "off"}});
+    assert.throws(() => validator.check_rules(), /Unknown rule keyframe-ordr, did you mean keyframe-order\?/);
+    assert.deepStrictEqual(validator.validate(animation()), []);
+    assert.deepStrictEqual(validator.strip_unused(animation()).changes, []);
+
+    validator = create_validator({rules: {"max-size": "warning"}});
+    assert.throws(() => validator.check_rules(), /Unknown rule max-size$/);
+    validator.add_rule({id: "max-size", visit: {}});
+    validator.check_rules();
+    assert.deepStrictEqual(validator.validate(animation()), []);
+});
+
+test("rules by error code", () => {
+    let data = animation({}, [shape_layer(1, {parent: 5}), null_layer(2, {parent: 3}), null_layer(3, {parent: 2})]);
+    assert.deepStrictEqual(codes(create_validator().validate(data)), [
+        "unknown-parent /layers/0/parent",
+        "parent-loop /layers/1/parent",
+    ]);
+
+    let validator = create_validator({rules: {"unknown-parent": "off"}});
+    assert.deepStrictEqual(codes(validator.validate(data)), ["parent-loop /layers/1/parent"]);
+    validator.check_rules();
+
+    // Codes take precedence over the rule covering them
+    validator = create_validator({rules: {"layer-parent": "off", "parent-loop": "warning"}});
+    assert.deepStrictEqual(validator.validate(data).map(error => [error.code, error.type]), [["parent-loop", "warning"]]);
+
+    validator = create_validator({rules: {"missing-property": "off"}});
+    assert.deepStrictEqual(validator.validate({fr: 60, ip: 0, op: 60, w: 100, h: 100}), []);
+});
+
+test("warnings can be hidden", () => {
+    let data = animation({foo: 1}, [shape_layer(1, {parent: 5})]);
+    assert.deepStrictEqual(codes(create_validator().validate(data, false)), ["unknown-parent /layers/0/parent"]);
+});
+
+test("custom rules", () => {
+    let validator = create_validator({rules: {"layer-names": "error"}});
+    validator.add_rule({
+        id: "max-size",
+        visit: {
+            animation: (obj) => obj.w > 50 ? {message: "must be at most 50", property: "w"} : null,
+        },
+    });
+    validator.add_rule({
+        id: "layer-names",
+        severity: "warning",
+        visit: {
+            layer: (layer) => layer.nm ? null : "must have a name",
+        },
+    });
+
+    let errors = validator.validate(animation({}, [shape_layer(1), shape_layer(2, {nm: "Named"})]));
+    assert.deepStrictEqual(errors.map(error => [error.rule, error.type, error.path]), [
+        ["layer-names", "error", "/layers/0"],
+        ["max-size", "error", "/w"],
+    ]);
+    assert.match(errors[1].message, /must be at most 50$/);
+
+    assert.throws(() => validator.add_rule({id: "max-size", visit: {}}));
+    assert.throws(() => validator.add_rule({visit: {}}));
+});
+
+test("messages and names", () => {
+    LottieValidator.locales.test = {"unknown-parent": "{name}: genitore {parent} sconosciuto"};
+    try {
+        let validator = create_validator({
+            locale: "test",
+            messages: {"duplicate-layer-index": "indice {ind} duplicato"},
+            names: {"Layer parent index": "Indice genitore"},
+        });
+        let errors = validator.validate(animation({}, [shape_layer(1, {parent: 5}), shape_layer(1)]));
+        assert.deepStrictEqual(errors.map(error => error.message), [
+            "Indice genitore: genitore 5 sconosciuto",
+            "indice 1 duplicato",
+        ]);
+    } finally {
+        delete LottieValidator.locales.test;
+    }
+});
+
+test("missing properties", () => {
+    let data = animation();
+    delete data.fr;
+    let errors = create_validator().validate(data);
+    assert.deepStrictEqual(codes(errors), ["missing-property "]);
+    assert.deepStrictEqual(errors[0].params, {property: "fr"});
+    assert.match(errors[0].message, /must have required property 'fr'$/);
+});
+
+test("schema alternatives", () => {
+    let schema = load_schema();
+    schema.$defs.composition.animation.allOf[1].properties.xx = {title: "Name", oneOf: [{type: "number"}, {type: "integer"}]};
+    let errors = new LottieValidator(Ajv2020, schema).validate(animation({xx: 1}));
+    assert.deepStrictEqual(codes(errors), ["multiple-matching-schemas /xx"]);
+    assert.match(errors[0].message, /matches more than one schema in oneOf$/);
+
+    assert.match(create_validator().format_message("no-matching-alternative", {name: "Name"}), /^Name must match at least one schema in anyOf$/);
+});
+
+test("path names", () => {
+    let group = {ty: "gr", nm: "Group", it: [{ty: "rc", nm: "Rect", p: {a: 0, k: [0, 0]}, s: {a: 0, k: "x"}, r: {a: 0, k: 0}}]};
+    let data = animation({}, [shape_layer(1, {nm: "Layer", shapes: [group]})]);
+    let errors = create_validator({name_paths: true}).validate(data);
+    assert.deepStrictEqual(errors.map(error => error.path_names), [["Layer", "Group", "Rect"]]);
+    assert.strictEqual(create_validator().validate(data)[0].path_names, undefined);
+});
+
+test("configuration files", (t) => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "lottie-specs-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    let sub = path.join(dir, "sub");
+    fs.mkdirSync(sub);
+    let file = path.join(dir, config_file_name);
+    fs.writeFileSync(file, JSON.stringify({rules: {"unknown-property": "off"}}));
+
+    assert.strictEqual(find_config_file(sub), file);
+    assert.deepStrictEqual(load_config(file), {rules: {"unknown-property": "off"}});
+
+    fs.writeFileSync(path.join(sub, "bad.json"), "[]");
+    assert.throws(() => load_config(path.join(sub, "bad.json")), /must be a JSON object/);
+    assert.throws(() => load_config(path.join(sub, "missing.json")), /Could not load/);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {create_validator, animation, shape_layer} = require("./helpers.js");
+
+const validator = create_validator();
+
+test("describe objects", () => {
+    let data = animation();
+    let info = validator.describe(data, "/layers/0");
+
+    assert.strictEqual(info.path, "/layers/0");
+    assert.strictEqual(info.class, "layers/shape-layer");
+    assert.ok(info.bases.includes("layers/visual-layer"));
+    assert.strictEqual(info.value_type, "object");
+    assert.match(info.docs, /^https:\/\//);
+
+    let shapes = info.properties.find(prop => prop.name == "shapes");
+    assert.strictEqual(shapes.required, true);
+    assert.strictEqual(shapes.present, true);
+    let parent = info.properties.find(prop => prop.name == "parent");
+    assert.strictEqual(parent.present, false);
+    assert.strictEqual(parent.type, "integer");
+});
+
+test("describe values", () => {
+    let data = animation();
+    let info = validator.describe(data, "/layers/0/shapes/0");
+    assert.strictEqual(info.class, "shapes/rectangle");
+
+    let matte = validator.describe(data, "/layers/0/tt");
+    assert.strictEqual(matte.class, "constants/matte-mode");
+    assert.strictEqual(matte.value_type, undefined);
+    assert.ok(matte.enum.some(option => option.value == 1 && option.title == "Alpha"));
+});
+
+test("describe follows discriminators", () => {
+    let data = animation({}, [shape_layer(1, {ks: {p: {a: 1, k: []}}})]);
+    assert.strictEqual(validator.describe(data, "/layers/0/ks/p/k").type, "array");
+    assert.strictEqual(validator.describe(data, "/layers/0/ks/p").class, "properties/splittable-position-property");
+});
+
+test("describe values not matching a discriminator", () => {
+    for ( let split of [1, "yes", null] )
+    {
+        let data = animation({}, [shape_layer(1, {ks: {p: {s: split}}})]);
+        let info = validator.describe(data, "/layers/0/ks/p");
+        assert.strictEqual(info.class, "properties/splittable-position-property");
+        assert.ok(validator.list_properties(data, "/layers/0/ks/p"));
+    }
+
+    let data = animation({}, [shape_layer(1, {ty: "toString"}), shape_layer(2, {ks: {o: {a: "constructor"}}})]);
+    assert.ok(validator.describe(data, "/layers/0"));
+    assert.ok(validator.describe(data, "/layers/1/ks/o"));
+});
+
+test("describe unknown paths", () => {
+    assert.strictEqual(validator.describe(animation(), "/nope"), null);
+    assert.strictEqual(validator.describe(animation(), "/layers/0/nope/1"), null);
+});
+
+test("describe paths that aren't in the data", () => {
+    let data = animation();
+    // Out of range items
+    assert.strictEqual(validator.describe(data, "/layers/5"), null);
+    assert.strictEqual(validator.describe(data, "/layers/5/ty"), null);
+    assert.strictEqual(validator.list_properties(data, "/layers/5"), null);
+    assert.strictEqual(validator.describe(data, "/layers/-1"), null);
+    // Inside values that aren't objects
+    assert.strictEqual(validator.describe(data, "/w/0"), null);
+    assert.strictEqual(validator.list_properties(data, "/w"), null);
+    assert.strictEqual(validator.list_properties(data, "/layers"), null);
+    assert.strictEqual(validator.describe(data, "/w").properties, undefined);
+
+    // Properties that aren't set are still described
+    assert.strictEqual(validator.describe(data, "/assets").value_type, undefined);
+    assert.strictEqual(validator.describe(data, "/layers/0/parent").type, "integer");
+    assert.strictEqual(validator.list_properties(data, "/layers/0/ks").find(prop => prop.name == "o").present, false);
+
+    // Without strict the paths only need to be in the schema
+    assert.notStrictEqual(validator.describe(data, "/layers/5", false), null);
+    assert.strictEqual(validator.describe(data, "/layers/0/shapes/3", false).path, "/layers/0/shapes/3");
+    assert.strictEqual(validator.describe(data, "/layers/0/shapes/3"), null);
+    assert.strictEqual(validator.describe(data, "/w/0", false), null);
+});
+
+test("list properties", () => {
+    let properties = validator.list_properties(animation(), "");
+    let names = properties.map(prop => prop.name);
+    assert.ok(names.includes("layers"));
+    assert.ok(names.includes("fr"));
+    assert.strictEqual(properties.find(prop => prop.name == "layers").present, true);
+    assert.strictEqual(properties.find(prop => prop.name == "assets").present, false);
+});
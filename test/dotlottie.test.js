@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const {validate_dotlottie, is_zip, ZipArchive} = require("../src/dotlottie.js");
+const {create_validator, animation, shape_layer, create_zip, codes} = require("./helpers.js");
+
+const validator = create_validator();
+
+function image_animation(asset)
+{
+    return JSON.stringify(animation({assets: [{id: "image", w: 1, h: 1, ...asset}]}, [
+        {ty: 2, ind: 1, ip: 0, op: 60, ks: {}, refId: "image"},
+    ]));
+}
+
+function summary(results)
+{
+    return results.map(result => [result.file, result.animation, codes(result.errors)]);
+}
+
+test("zip archives", () => {
+    let buffer = create_zip({"a.txt": "hello", "dir/b.txt": "world"});
+    assert.ok(is_zip(buffer));
+    assert.ok(!is_zip(Buffer.from("{}")));
+
+    let archive = new ZipArchive(buffer);
+    assert.deepStrictEqual(archive.names().sort(), ["a.txt", "dir/b.txt"]);
+    assert.strictEqual(archive.read("dir/b.txt").toString(), "world");
+    assert.ok(!archive.has("c.txt"));
+});
+
+test("compressed zip entries", () => {
+    let buffer = create_zip({"a.txt": "hello"});
+    let compressed = zlib.deflateRawSync(Buffer.from("hello"));
+    // Replace the stored data with the deflated one and update the method and sizes
+    let patched = Buffer.concat([buffer.subarray(0, 35), compressed, buffer.subarray(40)]);
+    let delta = compressed.length - 5;
+    patched.writeUInt16LE(8, 8);
+    patched.writeUInt32LE(compressed.length, 18);
+    let central = 35 + compressed.length;
+    patched.writeUInt16LE(8, central + 10);
+    patched.writeUInt32LE(compressed.length, central + 20);
+    let end = patched.length - 22;
+    patched.writeUInt32LE(patched.readUInt32LE(end + 16) + delta, end + 16);
+
+    assert.strictEqual(new ZipArchive(patched).read("a.txt").toString(), "hello");
+});
+
+test("valid dotLottie", () => {
+    let buffer = create_zip({
+        "manifest.json": JSON.stringify({version: "2", animations: [{id: "main"}]}),
+        "a/main.json": JSON.stringify(animation()),
+    });
+    assert.deepStrictEqual(summary(validate_dotlottie(validator, buffer)), [
+        ["manifest.json", null, []],
+        ["a/main.json", "main", []],
+    ]);
+});
+
+test("dotLottie version 1", () => {
+    let buffer = create_zip({
+        "manifest.json": JSON.stringify({version: "1.0", animations: [{id: "main"}]}),
+        "animations/main.json": image_animation({u: "/images/", p: "image.png"}),
+        "images/image.png": "",
+    });
+    assert.deepStrictEqual(summary(validate_dotlottie(validator, buffer)), [
+        ["manifest.json", null, []],
+        ["animations/main.json", "main", []],
+    ]);
+});
+
+test("dotLottie without a version", () => {
+    for ( let version of [undefined, 1, null] )
+    {
+        let buffer = create_zip({
+            "manifest.json": JSON.stringify({version: version, animations: [{id: "main"}]}),
+            "animations/main.json": image_animation({u: "/images/", p: "image.png"}),
+            "images/image.png": "",
+        });
+        assert.deepStrictEqual(summary(validate_dotlottie(validator, buffer)), [
+            ["manifest.json", null, []],
+            ["animations/main.json", "main", []],
+        ], String(version));
+
+        buffer = create_zip({
+            "manifest.json": JSON.stringify({version: version, animations: [{id: "main"}]}),
+            "a/main.json": image_animation({p: "image.png"}),
+            "i/image.png": "",
+        });
+        assert.deepStrictEqual(summary(validate_dotlottie(validator, buffer)), [
+            ["manifest.json", null, []],
+            ["a/main.json", "main", []],
+        ], String(version));
+    }
+});
+
+test("dotLottie errors", () => {
+    assert.deepStrictEqual(validate_dotlottie(validator, Buffer.from("nope"))[0].errors.map(e => e.code), ["invalid-archive", "invalid-archive"]);
+    assert.deepStrictEqual(summary(validate_dotlottie(validator, create_zip({}))), [["manifest.json", null, ["missing-manifest "]]]);
+
+    let buffer = create_zip({
+        "manifest.json": JSON.stringify({animations: [{id: "main"}, {id: "missing"}, {id: "main"}]}),
+        "a/main.json": image_animation({u: "/i/", p: "image.png"}),
+    });
+    assert.deepStrictEqual(summary(validate_dotlottie(validator, buffer)), [
+        ["manifest.json", null, ["missing-animation-file /animations/1/id", "duplicate-animation-id /animations/2/id"]],
+        ["a/main.json", "main", ["missing-archive-image /assets/0/p"]],
+    ]);
+});
+
+test("dotLottie manifest errors", () => {
+    let check = manifest => summary(validate_dotlottie(validator, create_zip({"manifest.json": manifest})))[0][2];
+    assert.deepStrictEqual(check("{"), ["invalid-manifest ", "invalid-manifest "]);
+    assert.deepStrictEqual(check("{}"), ["invalid-manifest /animations"]);
+    assert.deepStrictEqual(check('{"animations": []}'), ["empty-manifest /animations"]);
+    assert.deepStrictEqual(check('{"animations": [{}]}'), ["invalid-animation-id /animations/0"]);
+});
+
+test("dotLottie animation errors", () => {
+    let buffer = create_zip({
+        "manifest.json": JSON.stringify({animations: [{id: "main"}]}),
+        "a/main.json": JSON.stringify(animation({}, [shape_layer(1, {parent: 2})])),
+    });
+    assert.deepStrictEqual(summary(validate_dotlottie(validator, buffer))[1][2], ["unknown-parent /layers/0/parent"]);
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const validator = require("../src/validator.js");
+const validator_node = require("../src/validator-node.js");
+
+test("ES modules through the exports map", async () => {
+    // The package can import itself by name, which goes through `exports`
+    let main = await import("@lottie-animation-community/lottie-specs");
+    assert.deepStrictEqual(Object.keys(main).sort(), [
+        "LottieValidator", "detect_spec_version", "get_schema_url", "schema_file_name", "schema_versions",
+    ]);
+    for ( let name of Object.keys(main) )
+        assert.strictEqual(main[name], validator[name], name);
+
+    let node = await import("@lottie-animation-community/lottie-specs/node");
+    assert.deepStrictEqual(Object.keys(node).sort(), Object.keys(validator_node).sort());
+    for ( let name of Object.keys(node) )
+        assert.strictEqual(node[name], validator_node[name], name);
+});
+
+test("CommonJS through the exports map", () => {
+    assert.strictEqual(require("@lottie-animation-community/lottie-specs"), validator);
+    assert.strictEqual(require("@lottie-animation-community/lottie-specs/node"), validator_node);
+});
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {create_validator, animation, shape_layer, null_layer, animated, keyframe, codes} = require("./helpers.js");
+
+const validator = create_validator();
+
+test("fix unknown properties and boolean values", () => {
+    let data = animation({foo: 1}, [shape_layer(1, {ao: true})]);
+    let result = validator.fix(data);
+
+    assert.deepStrictEqual(result.data, animation({}, [shape_layer(1, {ao: 1})]));
+    assert.deepStrictEqual(result.changes, [
+        {path: "/layers/0/ao", message: "Replaced true with 1"},
+        {path: "/foo", message: "Removed unknown property 'foo'"},
+    ]);
+    assert.deepStrictEqual(result.errors, []);
+    // The input is left untouched
+    assert.strictEqual(data.foo, 1);
+});
+
+test("fix recognizes copies of the integer boolean schema", () => {
+    let schema = JSON.parse(JSON.stringify(validator.defs.values["int-boolean"]));
+    assert.ok(validator._is_int_boolean_schema(schema));
+    assert.ok(!validator._is_int_boolean_schema({...schema, int_boolean: undefined}));
+    assert.ok(!validator._is_int_boolean_schema(validator.defs.values.hexcolor));
+});
+
+test("fix keyframes", () => {
+    let layer = shape_layer(1, {ks: {o: animated([keyframe(10, [0]), {t: 0, s: [100]}])}});
+    let result = validator.fix(animation({}, [layer]));
+
+    assert.deepStrictEqual(result.data.layers[0].ks.o.k, [keyframe(0, [100]), keyframe(10, [0])]);
+    assert.deepStrictEqual(result.changes.map(change => change.path), [
+        "/layers/0/ks/o/k",
+        "/layers/0/ks/o/k/0/o",
+        "/layers/0/ks/o/k/0/i",
+    ]);
+    assert.deepStrictEqual(result.errors, []);
+});
+
+test("fix leaves other errors", () => {
+    let result = validator.fix(JSON.stringify(animation({}, [shape_layer(1, {parent: 5})])));
+    assert.deepStrictEqual(result.changes, []);
+    assert.deepStrictEqual(codes(result.errors), ["unknown-parent /layers/0/parent"]);
+});
+
+test("fix invalid JSON", () => {
+    let result = validator.fix("{");
+    assert.strictEqual(result.data, null);
+    assert.deepStrictEqual(result.errors.map(error => error.code), ["invalid-json", "json-syntax"]);
+});
+
+test("fix skips rules turned off", () => {
+    let data = animation({foo: 1});
+    let result = create_validator({rules: {"unknown-property": "off"}}).fix(data);
+    assert.deepStrictEqual(result.changes, []);
+    assert.strictEqual(result.data.foo, 1);
+});
+
+test("strip unused content", () => {
+    let data = animation({assets: [{id: "unused", layers: [shape_layer(1)]}]}, [
+        shape_layer(1),
+        shape_layer(2, {hd: true}),
+        null_layer(3),
+    ]);
+    let result = validator.strip_unused(data);
+
+    assert.deepStrictEqual(result.data, animation({assets: []}, [shape_layer(1), null_layer(3)]));
+    assert.deepStrictEqual(result.changes, [
+        {path: "/assets/0", message: "Removed unused asset"},
+        {path: "/layers/1", message: "Removed hidden layer"},
+    ]);
+});
+
+test("strip keeps layers used by others", () => {
+    let data = animation({}, [shape_layer(1, {parent: 2}), null_layer(2, {hd: true})]);
+    assert.deepStrictEqual(validator.strip_unused(data).changes, []);
+});
+
+test("strip assets used by removed layers", () => {
+    let precomp = {ty: 0, ind: 2, ip: 0, op: 60, ks: {o: {a: 0, k: 0}}, refId: "comp", w: 100, h: 100};
+    let data = animation({assets: [{id: "comp", layers: [shape_layer(1)]}]}, [shape_layer(1), precomp]);
+    let result = validator.strip_unused(data);
+
+    assert.deepStrictEqual(result.data, animation({assets: []}, [shape_layer(1)]));
+    assert.deepStrictEqual(result.changes.map(change => change.path), ["/assets/0", "/layers/1"]);
+});
+
+test("strip content from different arrays and objects", () => {
+    let transform = {ty: "tr", a: {a: 0, k: [0, 0]}, p: {a: 0, k: [0, 0]}, s: {a: 0, k: [100, 100]}, r: {a: 0, k: 0}, o: {a: 0, k: 100}};
+    let rect = shape_layer(1).shapes[0];
+    let group = {ty: "gr", it: [rect, transform, {...rect, nm: "After"}]};
+    let slots = {};
+    let assets = [];
+    let layers = [];
+    for ( let i = 0; i < 12; i++ )
+    {
+        slots["slot" + i] = {p: {a: 0, k: 100}};
+        assets.push({id: "comp" + i, layers: [shape_layer(1)]});
+        layers.push(shape_layer(i + 1, {hd: i % 3 == 0, shapes: [group]}));
+    }
+    let result = validator.strip_unused(animation({slots: slots, assets: assets}, layers));
+
+    assert.deepStrictEqual(result.data.slots, {});
+    assert.deepStrictEqual(result.data.assets, []);
+    assert.deepStrictEqual(result.data.layers.map(layer => layer.ind), [2, 3, 5, 6, 8, 9, 11, 12]);
+    for ( let layer of result.data.layers )
+        assert.deepStrictEqual(layer.shapes, [{ty: "gr", it: [rect, transform]}]);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {format_results, formats} = require("../src/formatters.js");
+
+const results = [
+    {
+        file: "a.json",
+        errors: [
+            {type: "error", code: "unknown-parent", rule: "layer-hierarchy", path: "/layers/0/parent", path_names: ["Layers", "Layer"], message: "Parent 5 is not a layer index", line: 3, column: 5, end_line: 3, end_column: 13},
+            {type: "warning", code: "unknown-property", path: "/foo", message: "Unknown property \"foo\"", line: 2, column: 5},
+        ],
+    },
+    {file: "b.lottie", entry: "a/main.json", errors: []},
+];
+
+test("all formats are supported", () => {
+    for ( let format of formats )
+        assert.strictEqual(typeof format_results(format, results), "string");
+    assert.throws(() => format_results("nope", results));
+});
+
+test("text output", () => {
+    let output = format_results("text", results);
+    assert.match(output, /^a\.json$/m);
+    assert.match(output, /^  \/layers\/0\/parent \(3:5\) Layers > Layer$/m);
+    assert.match(output, /^    error Parent 5 is not a layer index$/m);
+    assert.match(output, /^    warning Unknown property "foo"$/m);
+    assert.match(output, /^fail a\.json \(1 error, 1 warning\)$/m);
+    assert.match(output, /^ok   b\.lottie:a\/main\.json \(0 errors, 0 warnings\)$/m);
+    assert.match(output, /2 files checked, 1 with errors: 1 error, 1 warning$/);
+    assert.doesNotMatch(output, /\x1b/);
+    assert.match(format_results("text", results, {color: true}), /\x1b\[31merror/);
+});
+
+test("SARIF output", () => {
+    let sarif = JSON.parse(format_results("sarif", results));
+    let sarif_results = sarif.runs[0].results;
+    assert.strictEqual(sarif_results.length, 2);
+    assert.strictEqual(sarif_results[0].level, "error");
+    assert.strictEqual(sarif_results[1].level, "warning");
+    assert.deepStrictEqual(sarif_results[0].locations[0].physicalLocation.region, {startLine: 3, startColumn: 5, endLine: 3, endColumn: 13});
+    assert.strictEqual(sarif_results[0].locations[0].physicalLocation.artifactLocation.uri, "a.json");
+    assert.deepStrictEqual(sarif_results.map(result => result.ruleId), ["unknown-parent", "unknown-property"]);
+    assert.deepStrictEqual(sarif.runs[0].tool.driver.rules, [{id: "unknown-parent"}, {id: "unknown-property"}]);
+});
+
+test("JUnit output", () => {
+    let output = format_results("junit", results);
+    assert.match(output, /^<\?xml/);
+    assert.match(output, /<testsuite [^>]*tests="2" failures="1"/);
+    assert.match(output, /<testcase [^>]*name="a\.json"[^>]*>\s*<failure message="1 error: Parent 5 is not a layer index"/);
+    assert.match(output, /<system-out>warning: \/foo: Unknown property &quot;foo&quot;<\/system-out>/);
+});
+
+test("GitHub annotations", () => {
+    let lines = format_results("github", results).split("\n");
+    assert.ok(lines.includes("::error file=a.json,line=3,col=5,title=Lottie::/layers/0/parent: Parent 5 is not a layer index"));
+    assert.ok(lines.some(line => line.startsWith("::warning file=a.json,line=2,col=5")));
+});
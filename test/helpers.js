@@ -0,0 +1,168 @@
+/**
+ * \brief Shared fixtures for the tests
+ */
+const fs = require("fs");
+const {Ajv2020} = require("ajv/dist/2020");
+const {LottieValidator, get_schema_path} = require("../src/validator-node.js");
+
+/**
+ * \returns A fresh copy of the schema, validators modify the schema they are given
+ */
+function load_schema(version=null)
+{
+    return JSON.parse(fs.readFileSync(get_schema_path(version), "utf8"));
+}
+
+/**
+ * \returns A copy of the schema with `td` added to the visual layers, as newer schemas define it
+ */
+function schema_with_td(version=null)
+{
+    let schema = load_schema(version);
+    schema.$defs.layers["visual-layer"].allOf[1].properties.td = {
+        title: "Matte Target",
+        $ref: "#/$defs/values/int-boolean",
+    };
+    return schema;
+}
+
+/**
+ * \returns A LottieValidator for the latest schema
+ */
+function create_validator(config={})
+{
+    return new LottieValidator(Ajv2020, load_schema(), config);
+}
+
+/**
+ * \returns A valid shape layer with a rectangle
+ */
+function shape_layer(ind, props={})
+{
+    return {
+        ty: 4,
+        ind: ind,
+        ip: 0,
+        op: 60,
+        ks: {},
+        shapes: [{ty: "rc", p: {a: 0, k: [0, 0]}, s: {a: 0, k: [10, 10]}, r: {a: 0, k: 0}}],
+        ...props
+    };
+}
+
+/**
+ * \returns A valid null layer
+ */
+function null_layer(ind, props={})
+{
+    return {ty: 3, ind: ind, ip: 0, op: 60, ks: {}, ...props};
+}
+
+/**
+ * \returns A valid animation, with a single shape layer unless \p layers is given
+ */
+function animation(props={}, layers=[shape_layer(1)])
+{
+    return {fr: 60, ip: 0, op: 60, w: 100, h: 100, layers: layers, ...props};
+}
+
+/**
+ * \returns An animated property with the given keyframes
+ */
+function animated(keyframes)
+{
+    return {a: 1, k: keyframes};
+}
+
+/**
+ * \returns A keyframe at time \p t with linear easing
+ */
+function keyframe(t, value, props={})
+{
+    return {t: t, s: value, o: {x: [0], y: [0]}, i: {x: [1], y: [1]}, ...props};
+}
+
+/**
+ * \returns Array of `code path` strings, to compare errors concisely
+ */
+function codes(errors)
+{
+    return errors.map(error => `${error.code} ${error.path}`);
+}
+
+/**
+ * \returns Errors with the given code
+ */
+function with_code(errors, code)
+{
+    return errors.filter(error => error.code == code);
+}
+
+const crc_table = Array.from({length: 256}, (_, n) => {
+    for ( let k = 0; k < 8; k++ )
+        n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1;
+    return n >>> 0;
+});
+
+function crc32(buffer)
+{
+    let crc = 0xffffffff;
+    for ( let byte of buffer )
+        crc = crc_table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * \brief Creates a zip archive with uncompressed entries
+ * \param files Object mapping file names to strings or buffers
+ * \returns Buffer with the archive
+ */
+function create_zip(files)
+{
+    let local = [];
+    let central = [];
+    let offset = 0;
+
+    for ( let [name, contents] of Object.entries(files) )
+    {
+        let data = Buffer.from(contents);
+        let file_name = Buffer.from(name, "utf8");
+        let crc = crc32(data);
+
+        let header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(file_name.length, 26);
+        local.push(header, file_name, data);
+
+        let entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(file_name.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, file_name);
+
+        offset += header.length + file_name.length + data.length;
+    }
+
+    let central_size = central.reduce((size, buffer) => size + buffer.length, 0);
+    let end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(central_size, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...local, ...central, end]);
+}
+
+module.exports = {
+    load_schema, schema_with_td, create_validator, shape_layer, null_layer, animation, animated, keyframe, codes, with_code, create_zip,
+};
@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const child_process = require("child_process");
+const {animation, shape_layer, animated, keyframe} = require("./helpers.js");
+
+const script = path.resolve(__dirname, "..", "bin", "validate.js");
+
+/**
+ * \brief Runs the language server over stdio, framing messages as an editor would
+ */
+class Client
+{
+    constructor()
+    {
+        this.process = child_process.spawn(process.execPath, [script, "lsp"], {stdio: ["pipe", "pipe", "inherit"], timeout: 60000});
+        this.next_id = 1;
+        this.pending = new Map();
+        this.notifications = [];
+        this.waiting = [];
+        this.buffer = Buffer.alloc(0);
+        this.exited = new Promise(resolve => this.process.on("exit", code => resolve(code)));
+        this.process.stdout.on("data", chunk => this.receive(chunk));
+    }
+
+    receive(chunk)
+    {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while ( true )
+        {
+            let header_end = this.buffer.indexOf("\r\n\r\n");
+            if ( header_end == -1 )
+                return;
+            let length = Number(/Content-Length: (\d+)/.exec(this.buffer.subarray(0, header_end).toString("ascii"))[1]);
+            if ( this.buffer.length < header_end + 4 + length )
+                return;
+
+            let message = JSON.parse(this.buffer.subarray(header_end + 4, header_end + 4 + length).toString("utf8"));
+            this.buffer = this.buffer.subarray(header_end + 4 + length);
+
+            if ( message.id !== undefined )
+            {
+                this.pending.get(message.id)(message);
+                this.pending.delete(message.id);
+            }
+            else
+            {
+                this.notifications.push(message);
+                this.waiting.splice(0).forEach(resolve => resolve());
+            }
+        }
+    }
+
+    write(message)
+    {
+        let body = Buffer.from(JSON.stringify({jsonrpc: "2.0", ...message}), "utf8");
+        this.process.stdin.write(`Content-Length: ${body.length}\r\n\r\n`);
+        this.process.stdin.write(body);
+    }
+
+    request(method, params)
+    {
+        let id = this.next_id++;
+        let response = new Promise(resolve => this.pending.set(id, resolve));
+        this.write({id: id, method: method, params: params});
+        return response;
+    }
+
+    notify(method, params)
+    {
+        this.write({method: method, params: params});
+    }
+
+    async notification(method)
+    {
+        while ( true )
+        {
+            let index = this.notifications.findIndex(message => message.method == method);
+            if ( index != -1 )
+                return this.notifications.splice(index, 1)[0];
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+    }
+}
+
+/**
+ * \returns The LSP position of the first occurrence of \p search in \p text
+ */
+function position_of(text, search, skip=0)
+{
+    let lines = text.substring(0, text.indexOf(search) + skip).split("\n");
+    return {line: lines.length - 1, character: lines[lines.length - 1].length};
+}
+
+function offset_of(text, position)
+{
+    let lines = text.split("\n");
+    return lines.slice(0, position.line).reduce((offset, line) => offset + line.length + 1, 0) + position.character;
+}
+
+function apply_edit(text, edit)
+{
+    return text.substring(0, offset_of(text, edit.range.start)) + edit.newText + text.substring(offset_of(text, edit.range.end));
+}
+
+test("language server over stdio", async (t) => {
+    let opacity = animated([keyframe(10, [100]), keyframe(0, [0])]);
+    let data = animation({}, [shape_layer(1, {nmm: "Layer", ks: {o: opacity}}), shape_layer(2, {tt: 1})]);
+    let text = JSON.stringify(data, null, 4);
+    let uri = "file:///test/animation.json";
+    let client = new Client();
+    t.after(() => client.process.kill());
+
+    let initialize = await client.request("initialize", {processId: null, rootUri: null, capabilities: {}});
+    assert.strictEqual(initialize.result.capabilities.hoverProvider, true);
+    client.notify("initialized", {});
+
+    client.notify("textDocument/didOpen", {textDocument: {uri: uri, languageId: "json", version: 1, text: text}});
+    let published = (await client.notification("textDocument/publishDiagnostics")).params;
+    assert.strictEqual(published.uri, uri);
+    assert.strictEqual(published.version, 1);
+    let diagnostics = published.diagnostics;
+    assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.data.path]), [
+        ["keyframe-order", "/layers/0/ks/o/k/1"],
+        ["unknown-property", "/layers/0/nmm"],
+    ]);
+    assert.deepStrictEqual(diagnostics[1].range.start, position_of(text, "\"nmm\""));
+
+    let hover = (await client.request("textDocument/hover", {textDocument: {uri: uri}, position: position_of(text, "\"tt\": 1", 6)})).result;
+    assert.match(hover.contents.value, /^\*\*Matte Mode\*\*/);
+    assert.match(hover.contents.value, /`1`: Alpha/);
+    assert.deepStrictEqual(hover.range.start, position_of(text, "\"tt\": 1", 6));
+
+    let completion = (await client.request("textDocument/completion", {textDocument: {uri: uri}, position: position_of(text, "\"tt\"", 1)})).result;
+    assert.ok(completion.some(item => item.label == "parent"));
+    assert.ok(!completion.some(item => item.label == "ks"));
+
+    let actions = (await client.request("textDocument/codeAction", {
+        textDocument: {uri: uri},
+        range: diagnostics[1].range,
+        context: {diagnostics: diagnostics},
+    })).result;
+    assert.deepStrictEqual(actions.map(action => action.title), [
+        "Sort keyframes by time",
+        "Rename 'nmm' to 'nm'",
+        "Remove unknown property 'nmm'",
+    ]);
+    let fixed = actions.map(action => JSON.parse(apply_edit(text, action.edit.changes[uri][0])));
+    assert.deepStrictEqual(fixed[0].layers[0].ks.o.k.map(kf => kf.t), [0, 10]);
+    assert.strictEqual(fixed[1].layers[0].nm, "Layer");
+    assert.deepStrictEqual(fixed[2], animation({}, [shape_layer(1, {ks: {o: opacity}}), shape_layer(2, {tt: 1})]));
+
+    assert.strictEqual((await client.request("shutdown")).result, null);
+    client.notify("exit");
+    assert.strictEqual(await client.exited, 0);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {Ajv2020} = require("ajv/dist/2020");
+const {LottieValidator} = require("../src/validator-node.js");
+const {create_validator, schema_with_td, animation, shape_layer, null_layer, codes, with_code} = require("./helpers.js");
+
+const validator = create_validator();
+
+test("valid animation has no errors", () => {
+    assert.deepStrictEqual(validator.validate(animation({}, [shape_layer(1), null_layer(2)])), []);
+});
+
+test("duplicate layer index", () => {
+    let errors = validator.validate(animation({}, [shape_layer(1), null_layer(1)]));
+    assert.deepStrictEqual(codes(with_code(errors, "duplicate-layer-index")), ["duplicate-layer-index /layers/1/ind"]);
+    assert.strictEqual(with_code(errors, "duplicate-layer-index")[0].params.other_path, "/layers/0");
+});
+
+test("unknown parent", () => {
+    let errors = validator.validate(animation({}, [shape_layer(1, {parent: 5})]));
+    assert.deepStrictEqual(codes(with_code(errors, "unknown-parent")), ["unknown-parent /layers/0/parent"]);
+});
+
+test("parent loop", () => {
+    let errors = validator.validate(animation({}, [shape_layer(1, {parent: 2}), null_layer(2, {parent: 1})]));
+    assert.strictEqual(with_code(errors, "parent-loop").length, 1);
+});
+
+test("valid parenting", () => {
+    let errors = validator.validate(animation({}, [shape_layer(1, {parent: 2}), null_layer(2)]));
+    assert.deepStrictEqual(errors, []);
+});
+
+test("matte referencing an unknown layer", () => {
+    let errors = validator.validate(animation({}, [shape_layer(1, {tt: 1, tp: 7}), shape_layer(2)]));
+    assert.deepStrictEqual(codes(with_code(errors, "unknown-matte")), ["unknown-matte /layers/0/tp"]);
+});
+
+test("matte referencing itself", () => {
+    let errors = validator.validate(animation({}, [shape_layer(1, {tt: 1, tp: 1})]));
+    assert.deepStrictEqual(codes(with_code(errors, "matte-self-reference")), ["matte-self-reference /layers/0/tp"]);
+});
+
+test("implicit matte on the first layer", () => {
+    let errors = validator.validate(animation({}, [shape_layer(1, {tt: 1})]));
+    assert.deepStrictEqual(codes(with_code(errors, "missing-matte-layer")), ["missing-matte-layer /layers/0/tt"]);
+});
+
+test("matte layer not marked", () => {
+    let td_validator = new LottieValidator(Ajv2020, schema_with_td());
+    let errors = td_validator.validate(animation({}, [shape_layer(1), shape_layer(2, {tt: 1})]));
+    let matte = with_code(errors, "matte-not-marked");
+    assert.strictEqual(matte.length, 1);
+    assert.strictEqual(matte[0].type, "warning");
+    assert.strictEqual(matte[0].params.matte_path, "/layers/0");
+
+    errors = td_validator.validate(animation({}, [shape_layer(1, {td: 1}), shape_layer(2, {tt: 1})]));
+    assert.deepStrictEqual(errors, []);
+});
+
+test("matte layer with a schema that doesn't define td", () => {
+    assert.ok(!("td" in validator.defs.layers["visual-layer"].allOf[1].properties));
+    let errors = validator.validate(animation({}, [shape_layer(1), shape_layer(2, {tt: 1})]));
+    assert.deepStrictEqual(errors, []);
+});
+
+test("matte source without mode", () => {
+    let errors = validator.validate(animation({}, [shape_layer(1, {td: 1}), shape_layer(2, {tp: 1})]));
+    assert.deepStrictEqual(codes(with_code(errors, "matte-without-mode")), ["matte-without-mode /layers/1/tp"]);
+});
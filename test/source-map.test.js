@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {JsonSourceMap} = require("../src/validator.js");
+const {create_validator, animation, shape_layer} = require("./helpers.js");
+
+const validator = create_validator();
+
+test("error positions", () => {
+    let string = JSON.stringify(animation({}, [shape_layer(1, {parent: 5})]), null, 4);
+    let errors = validator.validate_string(string);
+
+    assert.strictEqual(errors.length, 1);
+    let error = errors[0];
+    assert.strictEqual(error.code, "unknown-parent");
+    // Object members are located by their key
+    assert.strictEqual(string.substring(error.offset, error.end_offset), '"parent"');
+    let lines = string.split("\n");
+    assert.strictEqual(lines[error.line - 1].indexOf('"parent"') + 1, error.column);
+    assert.strictEqual(error.end_line, error.line);
+    assert.strictEqual(error.end_column, error.column + 8);
+});
+
+test("syntax errors", () => {
+    let errors = validator.validate_string('{\n    "fr": 60,\n    "op": ]\n}');
+    assert.deepStrictEqual(errors.map(error => error.code), ["invalid-json", "json-syntax"]);
+    assert.strictEqual(errors[1].line, 3);
+    assert.strictEqual(errors[1].column, 11);
+});
+
+test("path ranges", () => {
+    let string = '{"a": [1, {"b/c": "x"}], "d": true}';
+    let source_map = new JsonSourceMap(string);
+    source_map.scan(null);
+
+    let text = path => {
+        let range = source_map.path_range(path);
+        return string.substring(range.start.offset, range.end.offset);
+    };
+    assert.strictEqual(text(""), string);
+    assert.strictEqual(text("/a/1"), '{"b/c": "x"}');
+    assert.strictEqual(text("/a/1/b~1c"), '"b/c"');
+    assert.strictEqual(text("/d"), '"d"');
+    assert.strictEqual(source_map.path_at(string.indexOf('"x"') + 1), "/a/1/b~1c");
+    assert.deepStrictEqual(source_map.position(string.indexOf("true")), {line: 1, column: 31, offset: 30});
+});
+
+test("missing paths fall back to the closest ancestor", () => {
+    let string = '{\n  "layers": [\n    {"ty": 4}\n  ]\n}';
+    let source_map = new JsonSourceMap(string);
+    source_map.scan(new Set(["/layers/0/ks"]));
+    assert.strictEqual(source_map.path_range("/layers/0/ks").start.line, 3);
+});
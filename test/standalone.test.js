@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const child_process = require("child_process");
+const {create_validator, animation, shape_layer, null_layer, animated, keyframe, codes} = require("./helpers.js");
+
+/**
+ * \returns Documents exercising the custom keywords
+ */
+function fixtures()
+{
+    let precomp_layer = (ind, ref) => ({ty: 0, ind: ind, ip: 0, op: 60, ks: {}, refId: ref, w: 100, h: 100});
+    return {
+        "valid": animation({}, [shape_layer(1, {parent: 2}), null_layer(2)]),
+        "unknown properties and types": animation({foo: 1}, [
+            shape_layer(1, {nmm: "Layer", shapes: [{ty: "rct"}]}),
+            {ty: 99, ind: 2, ip: 0, op: 60, ks: {}},
+        ]),
+        "keyframes": animation({}, [shape_layer(1, {ks: {o: animated([
+            keyframe(10, [100]),
+            keyframe(0, [0], {o: {x: "a", y: [0]}, i: {x: [0, "b"], y: [1]}}),
+            keyframe(20, [0, 1]),
+        ])}})]),
+        "assets": animation({assets: [{id: "comp", layers: [shape_layer(1)]}, {id: "image", w: 10, h: 10, p: "image.png"}]}, [
+            precomp_layer(1, "comp"),
+            precomp_layer(2, "image"),
+            precomp_layer(3, "missing"),
+        ]),
+        "slots": animation({slots: {opacity: {p: {a: 0, k: "nope"}}, unused: {p: {a: 0, k: 1}}}}, [
+            shape_layer(1, {ks: {o: {a: 0, k: 50, sid: "opacity"}, r: {a: 0, k: 0, sid: "missing"}}}),
+        ]),
+        "mattes": animation({}, [shape_layer(1, {tt: 1}), shape_layer(2, {tt: 1, tp: 7})]),
+        "not json": "{",
+    };
+}
+
+test("standalone validator matches the runtime one", (t) => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "lottie-specs-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+    let root = path.resolve(__dirname, "..");
+    let output = path.join(dir, "validator-standalone.js");
+    let script = path.join(root, "scripts", "build-standalone.js");
+    let schema = path.join(root, "src", "data", "lottie.schema.json");
+    child_process.execFileSync(process.execPath, [script, schema, output], {stdio: "ignore", timeout: 300000});
+    let standalone = require(output);
+
+    let runtime = create_validator();
+    for ( let [name, data] of Object.entries(fixtures()) )
+        assert.deepStrictEqual(standalone.validate(data), runtime.validate(data), name);
+
+    // Make sure the fixtures reach the custom keywords
+    let errors = codes(runtime.validate(fixtures()["keyframes"]));
+    assert.ok(errors.includes("invalid-type /layers/0/ks/o/k/1/o/x"), errors.join("\n"));
+    assert.ok(errors.includes("invalid-type /layers/0/ks/o/k/1/i/x/1"), errors.join("\n"));
+
+    let config = {rules: {"unknown-property": "off", "layer-parent": "warning"}, name_paths: true};
+    runtime = create_validator(config);
+    let configured = standalone.create_validator(config);
+    for ( let [name, data] of Object.entries(fixtures()) )
+        assert.deepStrictEqual(configured.validate(data), runtime.validate(data), name);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {format_stats} = require("../src/formatters.js");
+const {create_validator, animation, shape_layer, null_layer, animated, keyframe} = require("./helpers.js");
+
+const validator = create_validator();
+
+function precomp_layer(ind, ref_id)
+{
+    return {ty: 0, ind: ind, ip: 0, op: 60, ks: {}, refId: ref_id, w: 100, h: 100};
+}
+
+test("counts", () => {
+    let opacity = animated([keyframe(0, [0]), keyframe(30, [100])]);
+    let group = {ty: "gr", it: [shape_layer(1).shapes[0]]};
+    let data = animation({}, [shape_layer(1, {tt: 1, ks: {o: opacity}, shapes: [group]}), null_layer(2)]);
+    let stats = validator.stats(data);
+
+    assert.strictEqual(stats.duration, 1);
+    assert.strictEqual(stats.frames, 60);
+    assert.strictEqual(stats.bytes, JSON.stringify(data).length);
+    assert.deepStrictEqual(stats.layers, {total: 2, by_type: {"shape-layer": 1, "null-layer": 1}});
+    assert.deepStrictEqual(stats.shapes, {total: 2, by_type: {"group": 1, "rectangle": 1}});
+    assert.strictEqual(stats.mattes, 1);
+    assert.strictEqual(stats.properties.animated, 1);
+    assert.strictEqual(stats.keyframes, 2);
+});
+
+test("precompositions", () => {
+    let data = animation({
+        assets: [
+            {id: "outer", layers: [precomp_layer(1, "inner")]},
+            {id: "inner", layers: [shape_layer(1)]},
+        ],
+    }, [precomp_layer(1, "outer"), precomp_layer(2, "inner")]);
+    let stats = validator.stats(data);
+
+    assert.strictEqual(stats.precomposition_depth, 2);
+    assert.strictEqual(stats.assets.precompositions, 2);
+    // Asset layers are counted once however many times they are used
+    assert.strictEqual(stats.layers.total, 4);
+});
+
+test("shared precompositions", () => {
+    // Each precomposition uses the next one twice, so there are 2^40 paths through them
+    let assets = [];
+    for ( let i = 0; i < 40; i++ )
+        assets.push({id: `p${i}`, layers: i == 39 ? [shape_layer(1)] : [precomp_layer(1, `p${i+1}`), precomp_layer(2, `p${i+1}`)]});
+    let stats = validator.stats(animation({assets: assets}, [precomp_layer(1, "p0")]));
+    assert.strictEqual(stats.precomposition_depth, 40);
+
+    // Loops are ignored
+    assets = [
+        {id: "a", layers: [precomp_layer(1, "b")]},
+        {id: "b", layers: [precomp_layer(1, "a"), precomp_layer(2, "c")]},
+        {id: "c", layers: [shape_layer(1)]},
+    ];
+    stats = validator.stats(animation({assets: assets}, [precomp_layer(1, "a")]));
+    assert.strictEqual(stats.precomposition_depth, 3);
+});
+
+test("largest objects", () => {
+    let stats = validator.stats(animation({}, [shape_layer(1), null_layer(2)]), 1);
+    assert.deepStrictEqual(stats.largest.map(item => [item.path, item.type]), [["/layers/0", "shape-layer"]]);
+});
+
+test("text report", () => {
+    let output = format_stats([
+        {file: "a.json", stats: validator.stats(animation())},
+        {file: "b.json", errors: [{type: "error", message: "Document is not a valid JSON file"}]},
+    ]);
+    assert.match(output, /^a\.json$/m);
+    assert.match(output, /^  Layers: +1 \(shape-layer 1\)$/m);
+    assert.match(output, /^  error Document is not a valid JSON file$/m);
+});
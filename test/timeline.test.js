@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {create_validator, animation, shape_layer, animated, keyframe, codes} = require("./helpers.js");
+
+const validator = create_validator();
+
+test("animation time range", () => {
+    assert.deepStrictEqual(codes(validator.validate(animation({ip: 60, op: 60}))), ["invalid-time-range /op"]);
+});
+
+test("layer time range", () => {
+    assert.deepStrictEqual(codes(validator.validate(animation({}, [shape_layer(1, {ip: 30, op: 10})]))), [
+        "invalid-time-range /layers/0/op",
+    ]);
+});
+
+test("layer outside the composition", () => {
+    assert.deepStrictEqual(codes(validator.validate(animation({}, [shape_layer(1, {ip: 60, op: 90})]))), [
+        "layer-outside-composition /layers/0/ip",
+    ]);
+});
+
+test("keyframe outside the layer", () => {
+    let layer = shape_layer(1, {ks: {o: animated([keyframe(0, [0]), keyframe(500, [100])])}});
+    assert.deepStrictEqual(codes(validator.validate(animation({}, [layer]))), [
+        "keyframe-outside-layer /layers/0/ks/o/k/1/t",
+    ]);
+});
+
+test("markers", () => {
+    let data = animation({markers: [{tm: 10, dr: 10, cm: "a"}, {tm: 90, cm: "b"}, {tm: 50, dr: 20, cm: "c"}]});
+    assert.deepStrictEqual(codes(validator.validate(data)), [
+        "marker-outside-animation /markers/1/tm",
+        "marker-outside-animation /markers/2/dr",
+    ]);
+});
+
+test("keyframe order", () => {
+    let layer = shape_layer(1, {ks: {o: animated([keyframe(10, [0]), keyframe(0, [100])])}});
+    let errors = validator.validate(animation({}, [layer]));
+    assert.deepStrictEqual(codes(errors), ["keyframe-order /layers/0/ks/o/k/1"]);
+    assert.strictEqual(errors[0].message, "Base Keyframe 't' must be in ascending order");
+});
+
+test("keyframe easing", () => {
+    let layer = shape_layer(1, {ks: {o: animated([{t: 0, s: [0]}, keyframe(30, [100])])}});
+    let errors = validator.validate(animation({}, [layer]));
+    assert.deepStrictEqual(errors.map(error => [error.code, error.path, error.params.property]), [
+        ["keyframe-missing-easing", "/layers/0/ks/o/k/0", "i"],
+        ["keyframe-missing-easing", "/layers/0/ks/o/k/0", "o"],
+    ]);
+});
+
+test("rule severity", () => {
+    let layer = shape_layer(1, {ks: {o: animated([keyframe(10, [0]), keyframe(0, [100])])}});
+    let data = animation({}, [layer]);
+
+    let errors = create_validator({rules: {"keyframe-order": "warning"}}).validate(data);
+    assert.deepStrictEqual(errors.map(error => error.type), ["warning"]);
+    assert.deepStrictEqual(create_validator({rules: {"keyframe-order": "off"}}).validate(data), []);
+});
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const child_process = require("child_process");
+
+test("committed types match the schema", (t) => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "lottie-specs-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+    let root = path.resolve(__dirname, "..");
+    let output = path.join(dir, "lottie.d.ts");
+    let script = path.join(root, "scripts", "build-types.js");
+    let schema = path.join(root, "src", "data", "lottie.schema.json");
+    child_process.execFileSync(process.execPath, [script, schema, output], {stdio: "ignore"});
+
+    assert.strictEqual(
+        fs.readFileSync(path.join(root, "src", "lottie.d.ts"), "utf8"),
+        fs.readFileSync(output, "utf8"),
+        "src/lottie.d.ts is out of date, run npm run build"
+    );
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {create_validator, animation, shape_layer, animated, keyframe, codes} = require("./helpers.js");
+
+const validator = create_validator();
+
+const rectangle = {ty: "rc", p: {a: 0, k: [0, 0]}, s: {a: 0, k: [10, 10]}, r: {a: 0, k: 0}};
+
+function path_shape(props={})
+{
+    let bezier = {c: false, v: [[0, 0], [10, 0], [10, 10]], i: [[0, 0], [0, 0], [0, 0]], o: [[0, 0], [0, 0], [0, 0]], ...props};
+    return {ty: "sh", ks: {a: 0, k: bezier}};
+}
+
+function gradient_fill(stops, values)
+{
+    return {ty: "gf", o: {a: 0, k: 100}, r: 1, s: {a: 0, k: [0, 0]}, e: {a: 0, k: [10, 0]}, t: 1, g: {p: stops, k: {a: 0, k: values}}};
+}
+
+function check_shapes(shapes)
+{
+    return codes(validator.validate(animation({}, [shape_layer(1, {shapes: shapes})])));
+}
+
+function check_transform(ks)
+{
+    return validator.validate(animation({}, [shape_layer(1, {ks: ks})]));
+}
+
+test("bezier points", () => {
+    assert.deepStrictEqual(check_shapes([path_shape()]), []);
+
+    let errors = validator.validate(animation({}, [shape_layer(1, {shapes: [path_shape({i: [[0, 0]]})]})]));
+    assert.deepStrictEqual(codes(errors), ["bezier-length-mismatch /layers/0/shapes/0/ks/k/i"]);
+    assert.deepStrictEqual(errors[0].params, {property: "i", length: 1, expected: 3});
+});
+
+test("gradient stops", () => {
+    let colors = [0, 1, 0, 0, 1, 0, 0, 1];
+    assert.deepStrictEqual(check_shapes([gradient_fill(2, colors), rectangle]), []);
+    // Transparency stops come in pairs after the colors
+    assert.deepStrictEqual(check_shapes([gradient_fill(2, [...colors, 0, 1, 1, 1]), rectangle]), []);
+
+    assert.deepStrictEqual(check_shapes([gradient_fill(2, [...colors, 0.5]), rectangle]), [
+        "gradient-length-mismatch /layers/0/shapes/0/g/k/k",
+    ]);
+    assert.deepStrictEqual(check_shapes([gradient_fill(3, colors), rectangle]), [
+        "gradient-length-mismatch /layers/0/shapes/0/g/k/k",
+    ]);
+});
+
+test("keyframe value length", () => {
+    let errors = check_transform({p: animated([keyframe(0, [0, 0]), keyframe(30, [100, 0, 0])])});
+    assert.deepStrictEqual(codes(errors), ["keyframe-value-length /layers/0/ks/p/k/1/s"]);
+    assert.deepStrictEqual(errors[0].params, {length: 3, expected: 2});
+});
+
+test("easing handles", () => {
+    let errors = check_transform({o: animated([keyframe(0, [0], {o: {x: [1.5], y: [0]}}), keyframe(30, [100])])});
+    assert.deepStrictEqual(codes(errors), ["easing-out-of-range /layers/0/ks/o/k/0/o/x"]);
+
+    errors = check_transform({o: animated([keyframe(0, [0], {i: {x: [1, 1], y: [1]}}), keyframe(30, [100])])});
+    assert.deepStrictEqual(codes(errors), ["easing-length-mismatch /layers/0/ks/o/k/0/i"]);
+    assert.deepStrictEqual(errors[0].params, {property: "i", x_length: 2, y_length: 1});
+});
+
+test("value shape rule severity", () => {
+    let data = animation({}, [shape_layer(1, {shapes: [path_shape({o: []})]})]);
+    assert.deepStrictEqual(create_validator({rules: {"value-shape": "off"}}).validate(data), []);
+});
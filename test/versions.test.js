@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const {Ajv2020} = require("ajv/dist/2020");
+const {LottieValidator, get_schema_path, schema_file_name, schema_versions, detect_spec_version} = require("../src/validator-node.js");
+const {load_schema, schema_with_td, animation, shape_layer, codes} = require("./helpers.js");
+
+/**
+ * \returns The shipped schema and a newer fixture schema derived from it, which defines `td`
+ */
+function two_versions()
+{
+    let older = load_schema();
+    let newer = schema_with_td();
+    newer.$version = older.$version + 100;
+    return [older, newer];
+}
+
+function newer_version()
+{
+    let [major, minor] = schema_versions[schema_versions.length - 1].split(".").map(Number);
+    return `${major}.${minor + 1}`;
+}
+
+test("every listed version has a schema", () => {
+    for ( let version of schema_versions )
+    {
+        let schema = JSON.parse(fs.readFileSync(get_schema_path(version), "utf8"));
+        assert.strictEqual(typeof schema.$version, "number");
+    }
+    assert.strictEqual(schema_file_name(), "lottie.schema.json");
+    assert.throws(() => schema_file_name("0.1"));
+});
+
+test("detect the spec version", () => {
+    assert.strictEqual(detect_spec_version({ver: 10100}), "1.1");
+    assert.strictEqual(detect_spec_version({ver: 10100, v: "5.7.1"}), "1.1");
+    assert.strictEqual(detect_spec_version({v: "5.7.1"}), "1.0");
+    assert.strictEqual(detect_spec_version({v: "5.12"}), "1.0");
+    assert.strictEqual(detect_spec_version({v: "4.13.0"}), null);
+    assert.strictEqual(detect_spec_version({v: "latest"}), null);
+    assert.strictEqual(detect_spec_version({}), null);
+});
+
+test("versions give different results for the same document", () => {
+    let validator = new LottieValidator(Ajv2020, two_versions(), {spec_version: "auto"});
+    let layers = [shape_layer(1, {td: 1}), shape_layer(2, {tt: 1})];
+    let current = schema_versions[schema_versions.length - 1].split(".").map(Number);
+    let current_ver = current[0] * 10000 + current[1] * 100;
+
+    let data = animation({ver: current_ver}, layers);
+    let errors = codes(validator.validate(data)).filter(error => !error.endsWith(" /ver"));
+    assert.deepStrictEqual(errors, ["unknown-property /layers/0/td"]);
+
+    data = animation({ver: current_ver + 100}, layers);
+    errors = codes(validator.validate(data)).filter(error => !error.endsWith(" /ver"));
+    assert.deepStrictEqual(errors, []);
+
+    // Bodymovin files use the schema of the spec version describing their format
+    data = animation({v: "5.7.1"}, layers);
+    assert.strictEqual(validator.validator_for(data), validator.validator_for(animation({ver: current_ver})));
+
+    // Newer files than any schema use the newest one
+    data = animation({ver: current_ver + 10000}, layers);
+    assert.strictEqual(validator.validator_for(data), validator.validator_for(animation({ver: current_ver + 100})));
+});
+
+test("fixed spec version", () => {
+    let data = animation({}, [shape_layer(1, {td: 1}), shape_layer(2, {tt: 1})]);
+
+    let newer = new LottieValidator(Ajv2020, two_versions(), {spec_version: newer_version()});
+    assert.deepStrictEqual(newer.validate(data), []);
+
+    let older = new LottieValidator(Ajv2020, two_versions(), {spec_version: schema_versions[schema_versions.length - 1]});
+    assert.deepStrictEqual(codes(older.validate(data)), ["unknown-property /layers/0/td"]);
+
+    assert.throws(() => new LottieValidator(Ajv2020, two_versions(), {spec_version: "0.1"}), /No schema available/);
+});
+
+test("versioned validators share the rules", () => {
+    let validator = new LottieValidator(Ajv2020, two_versions(), {spec_version: "auto"});
+    validator.add_rule({id: "named", visit: {layer: layer => layer.nm ? null : "must have a name"}});
+    let errors = validator.validate(animation({ver: 10100}));
+    assert.deepStrictEqual(errors.map(error => error.rule), ["named"]);
+});